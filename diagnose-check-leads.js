@@ -8,6 +8,8 @@ dotenv.config();
 const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5050';
 // URL to test
 const TEST_URL = process.env.TEST_URL || 'https://openai-realtime-api-voice-assistant-meranda1.replit.app/check-leads';
+// /check-leads needs the server's LEADS_API_KEY
+const API_HEADERS = { 'X-Api-Key': process.env.LEADS_API_KEY || '' };
 
 // Test data
 const testData = {
@@ -19,6 +21,38 @@ const testData = {
   ]
 };
 
+// Poll an outreach job until it finishes (or we give up) and print per-lead results
+async function pollJob(baseUrl, jobId, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  let job;
+
+  while (Date.now() < deadline) {
+    const response = await fetch(`${baseUrl}/check-leads/jobs/${jobId}`, { headers: API_HEADERS });
+    job = await response.json();
+
+    if (!response.ok) {
+      console.log(`Job status request failed: ${response.status}`, job);
+      return job;
+    }
+
+    console.log(`Job ${jobId}: ${job.status}, ${job.processed}/${job.total} processed`);
+    if (job.status === 'completed' || job.status === 'failed') {
+      break;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  if (job) {
+    console.log('Outcome counts:', JSON.stringify(job.counts));
+    for (const result of job.results || []) {
+      console.log(`  ${result.phoneNumber} (${result.name}): ${result.outcome}${result.reason ? ` - ${result.reason}` : ''}`);
+    }
+  }
+
+  return job;
+}
+
 // Function to test the local check-leads endpoint
 async function testLocalCheckLeads() {
   try {
@@ -29,7 +63,8 @@ async function testLocalCheckLeads() {
     const response = await fetch(`${SERVER_URL}/check-leads`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...API_HEADERS
       },
       body: JSON.stringify(testData)
     });
@@ -39,8 +74,13 @@ async function testLocalCheckLeads() {
     const data = await response.json();
     console.log('Response data:', JSON.stringify(data, null, 2));
     
+    // /check-leads queues a job; wait for it to see how each lead went
+    if (response.ok && data.jobId) {
+      data.job = await pollJob(SERVER_URL, data.jobId);
+    }
+    
     return {
-      success: response.ok,
+      success: response.ok && (!data.job || data.job.status === 'completed'),
       status: response.status,
       data
     };
@@ -63,7 +103,8 @@ async function testRemoteCheckLeads() {
     const response = await fetch(TEST_URL, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...API_HEADERS
       },
       body: JSON.stringify(testData)
     });
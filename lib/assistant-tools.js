@@ -0,0 +1,347 @@
+import { leadDetails } from './lead-qualification.js';
+import { localDate } from './quiet-hours.js';
+import { formatLocalTime, parseStartTime } from './scheduling.js';
+
+// Server-side tools the AI can call while it answers: over SMS through
+// chat/completions and on calls through the Realtime API. Each tool has a JSON
+// schema for its arguments, checked before it runs, and the channels it's
+// offered on. Every call is stored on the conversation as a `tool` message
+// (tool_name, tool_arguments, tool_result) for audit. Times are wall-clock
+// times in the business's time zone, the way the customer talks about them.
+export const ASSISTANT_TOOLS = [
+    {
+        name: 'lookup_conversation',
+        description: "Look up what we already know about this customer: their details, lead status and upcoming appointments.",
+        channels: ['sms', 'voice'],
+        parameters: {
+            type: 'object',
+            properties: {},
+            required: [],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'get_opening_hours',
+        description: 'Get the opening hours, the current local time and whether the business is open now.',
+        channels: ['sms', 'voice'],
+        parameters: {
+            type: 'object',
+            properties: {},
+            required: [],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'check_availability',
+        description: 'List open appointment times. Call this before offering the customer any time, and only offer times it returns.',
+        channels: ['sms', 'voice'],
+        booking: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'First day to look at, YYYY-MM-DD (default today)' },
+                days: { type: 'integer', minimum: 1, maximum: 14, description: 'Number of days to look at (default 3)' }
+            },
+            required: [],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'book_appointment',
+        description: 'Book an appointment once the customer has picked one of the open times.',
+        channels: ['sms', 'voice'],
+        booking: true,
+        parameters: {
+            type: 'object',
+            properties: {
+                local_time: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}$', description: 'The chosen time exactly as check_availability returned it, YYYY-MM-DDTHH:MM' },
+                customer_name: { type: 'string', description: "The customer's name" },
+                service: { type: 'string', description: 'The work or service requested' },
+                vehicle: { type: 'string', description: 'The vehicle, e.g. 2015 Honda Civic' }
+            },
+            required: ['local_time'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'escalate_to_human',
+        description: 'Hand the conversation to a staff member: when the customer asks for a person, is upset, or needs something you cannot answer. Tell the customer someone will get back to them.',
+        channels: ['sms'],
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', minLength: 1, description: 'Why a person is needed, for the staff member' }
+            },
+            required: ['reason'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'transfer_to_human',
+        description: 'Put the caller through to a staff member: when they ask for a person, are upset, or need something you cannot help with. The call is handed over as soon as you call this. If nobody is available the caller can leave a voicemail.',
+        channels: ['voice'],
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', minLength: 1, description: 'Why a person is needed, for the staff member' }
+            },
+            required: ['reason'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'mark_unqualified',
+        description: 'Mark this contact as not a prospective customer (wrong number, spam, not interested, or asking for something the business does not do).',
+        channels: ['sms'],
+        parameters: {
+            type: 'object',
+            properties: {
+                reason: { type: 'string', minLength: 1, description: 'Why they are not a lead' }
+            },
+            required: ['reason'],
+            additionalProperties: false
+        }
+    }
+];
+
+const JSON_TYPES = {
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean'
+};
+
+// Check a value against the subset of JSON Schema the tools use (type,
+// properties, required, additionalProperties, enum, pattern, minLength,
+// minimum, maximum, items). Returns the problems found; none means valid.
+export function validateArguments(schema, value, path = 'arguments') {
+    if (schema.type && !JSON_TYPES[schema.type](value)) {
+        return [`${path} must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push(`${path} must not be empty`);
+        }
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateArguments(schema.items, item, `${path}[${index}]`)));
+    }
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                errors.push(`${path}.${name} is required`);
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                if (propertyValue !== null && propertyValue !== undefined) {
+                    errors.push(...validateArguments(properties[name], propertyValue, `${path}.${name}`));
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name} is not allowed`);
+            }
+        }
+    }
+    return errors;
+}
+
+// chat/completions nests each function definition; the Realtime API takes them flat
+export function chatTools(tools) {
+    return tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } }));
+}
+
+export function realtimeTools(tools) {
+    return tools.map(({ name, description, parameters }) => ({ type: 'function', name, description, parameters }));
+}
+
+function describeSlots(slots) {
+    return slots.map(slot => ({ local_time: slot.local_time, label: slot.label }));
+}
+
+export function createAssistantTools({ config, store, sinks, dashboard, scheduling, leadQualification, escalations, callRouting }) {
+    // Tool name -> run(args, context). `context` has the tenant, the
+    // conversation (if there is one yet), the customer's phone number and the
+    // channel ('sms' or 'voice'); on calls also the callSid and the baseUrl
+    // Twilio reaches us on.
+    const handlers = {
+        async lookup_conversation(args, { tenant, conversation }) {
+            if (!conversation) {
+                return { found: false };
+            }
+            const appointments = await store.listAppointments({ conversationId: conversation.id, status: 'booked', from: new Date() });
+            return {
+                found: true,
+                phone_number: conversation.phone_number,
+                ...leadDetails(conversation),
+                summary: conversation.summary || null,
+                customer_since: conversation.created_at,
+                upcoming_appointments: appointments.map(appointment => ({
+                    time: formatLocalTime(new Date(appointment.starts_at), tenant.time_zone),
+                    service: appointment.service
+                }))
+            };
+        },
+
+        async get_opening_hours(args, { tenant }) {
+            return {
+                opening_hours: tenant.opening_hours,
+                hours: tenant.business_hours,
+                time_zone: tenant.time_zone,
+                now: formatLocalTime(new Date(), tenant.time_zone),
+                open_now: scheduling.isOpen(tenant)
+            };
+        },
+
+        async check_availability(args, { tenant }) {
+            const slots = await scheduling.findSlots(tenant, {
+                date: args.date,
+                days: args.days || 3,
+                limit: 8
+            });
+            return {
+                now: formatLocalTime(new Date(), tenant.time_zone),
+                today: localDate(new Date(), tenant.time_zone),
+                slots: describeSlots(slots),
+                ...(slots.length === 0 ? { note: 'Nothing open in these days, try later dates' } : {})
+            };
+        },
+
+        async book_appointment(args, { tenant, conversation, phoneNumber, source }) {
+            const startsAt = parseStartTime(args.local_time, tenant.time_zone);
+            if (!startsAt) {
+                return { booked: false, error: 'local_time must look like 2024-05-01T09:00' };
+            }
+
+            const { appointment, error, alternatives } = await scheduling.book(tenant, {
+                startsAt,
+                conversation,
+                phoneNumber,
+                name: args.customer_name,
+                service: args.service,
+                vehicle: args.vehicle,
+                source
+            });
+            if (error) {
+                return { booked: false, error, alternatives: describeSlots(alternatives) };
+            }
+            return { booked: true, appointment_id: appointment.id, time: formatLocalTime(startsAt, tenant.time_zone) };
+        },
+
+        async escalate_to_human(args, { tenant, conversation }) {
+            if (!conversation) {
+                return { escalated: false, error: 'No conversation to hand over' };
+            }
+            await escalations.escalate(tenant, conversation, { trigger: 'model', reason: args.reason });
+            return { escalated: true, note: 'A staff member will reply; tell the customer someone will get back to them shortly' };
+        },
+
+        async transfer_to_human(args, { tenant, callSid, baseUrl }) {
+            if (!callSid) {
+                return { transferred: false, error: 'No call to transfer' };
+            }
+            return callRouting.transfer(tenant, { callSid, reason: args.reason, baseUrl });
+        },
+
+        async mark_unqualified(args, { conversation }) {
+            if (!conversation) {
+                return { marked: false, error: 'No conversation to mark' };
+            }
+            const { error } = await leadQualification.update(conversation, {
+                qualification_status: 'unqualified',
+                qualification_reason: args.reason
+            });
+            return error ? { marked: false, error } : { marked: true };
+        }
+    };
+
+    // The tools offered on a channel. Booking tools only when booking is on.
+    function definitions(channel) {
+        return ASSISTANT_TOOLS.filter(tool => tool.channels.includes(channel) && (!tool.booking || config.scheduling.enabled));
+    }
+
+    // Store the call on the conversation and show it on the dashboard
+    async function recordCall(name, args, result, { tenant, conversation, phoneNumber, callId }) {
+        if (!conversation) {
+            return;
+        }
+        try {
+            const message = await sinks.record({
+                type: 'tool_call',
+                direction: 'internal',
+                tenant,
+                conversation,
+                phoneNumber,
+                sender: 'tool',
+                content: `${name}(${JSON.stringify(args)}) -> ${JSON.stringify(result)}`,
+                tool: { name, arguments: args, result, callId }
+            });
+            dashboard.broadcastMessage({
+                type: 'new_message',
+                conversation_id: conversation.id,
+                message
+            }, tenant.id);
+        } catch (error) {
+            console.error(`Error recording tool call ${name}:`, error);
+        }
+    }
+
+    // Run a tool the model called. `rawArguments` is the JSON the model wrote
+    // (or an object); bad arguments come back as an error for the model to fix.
+    async function run(name, rawArguments, context) {
+        const tool = definitions(context.source).find(definition => definition.name === name);
+        let args = rawArguments;
+        let result;
+
+        try {
+            if (typeof rawArguments === 'string') {
+                args = rawArguments.trim() ? JSON.parse(rawArguments) : {};
+            }
+        } catch (error) {
+            args = rawArguments;
+            result = { error: `Arguments are not valid JSON: ${error.message}` };
+        }
+
+        if (!result && !tool) {
+            result = { error: `Unknown tool ${name}` };
+        }
+        if (!result) {
+            const errors = validateArguments(tool.parameters, args ?? {});
+            if (errors.length > 0) {
+                result = { error: `Invalid arguments: ${errors.join('; ')}` };
+            }
+        }
+        if (!result) {
+            try {
+                result = await handlers[name](args ?? {}, context);
+            } catch (error) {
+                console.error(`Error running tool ${name}:`, error);
+                result = { error: error.message };
+            }
+        }
+
+        console.log(`Tool ${name} for ${context.phoneNumber || 'unknown caller'}:`, JSON.stringify(result));
+        await recordCall(name, args, result, context);
+        return result;
+    }
+
+    return { definitions, run };
+}
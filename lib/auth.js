@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['admin', 'agent'];
+export const SESSION_COOKIE = 'session';
+
+// Passwords are stored as scrypt$<salt>$<hash>
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, expected] = (passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) {
+        return false;
+    }
+
+    const hash = await scrypt(password, salt, 64);
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    return expectedBuffer.length === hash.length && crypto.timingSafeEqual(expectedBuffer, hash);
+}
+
+// Sessions are stored under the SHA-256 of the token, so a leaked sessions
+// table can't be replayed
+function sessionId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(header
+        .split(';')
+        .map(part => part.trim().split('='))
+        .filter(([name, value]) => name && value !== undefined)
+        .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+// Link tokens are `${userId}.${expires}.${signature}`, the signature an
+// HMAC of the user, the expiry (unix seconds) and the one path the link opens
+function linkSignature(secret, userId, expires, path) {
+    return crypto.createHmac('sha256', secret).update(`${userId}.${expires}.${path}`).digest('base64url');
+}
+
+// A URL for the logs, with any ?token= blanked out
+export function redactToken(url = '') {
+    return url.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
+}
+
+// Never send password hashes to clients
+export function publicUser(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+}
+
+// Staff without a tenant work for every business; tenant staff only see
+// their own tenant's data (`tenantId` null is the default business)
+export function canAccessTenant(user, tenantId) {
+    return !user.tenant_id || user.tenant_id === (tenantId ?? null);
+}
+
+// Dashboard authentication: session tokens sent as a cookie or a bearer token
+export function createAuth({ config, store }) {
+    // Without LINK_TOKEN_SECRET, links stop working when the server restarts
+    const linkSecret = config.auth.linkTokenSecret || crypto.randomBytes(32).toString('hex');
+
+    async function login(email, password) {
+        const user = await store.getUserByEmail(email);
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000).toISOString();
+        await store.createSession(sessionId(token), user.id, expiresAt);
+
+        return { token, expiresAt, user: publicUser(user) };
+    }
+
+    async function logout(token) {
+        await store.deleteSession(sessionId(token));
+    }
+
+    function tokenFromRequest(request) {
+        const authorization = request.headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.slice('Bearer '.length).trim();
+        }
+        return parseCookies(request.headers.cookie)[SESSION_COOKIE] || null;
+    }
+
+    // Resolve the signed-in user for a request, or null
+    async function authenticate(request) {
+        const token = tokenFromRequest(request);
+        if (!token) {
+            return null;
+        }
+
+        const session = await store.getSession(sessionId(token));
+        if (!session) {
+            return null;
+        }
+        if (new Date(session.expires_at) < new Date()) {
+            await store.deleteSession(session.id);
+            return null;
+        }
+
+        const user = await store.getUser(session.user_id);
+        return user ? { ...publicUser(user), token } : null;
+    }
+
+    // Fastify preHandler: 401 without a valid session, 403 without one of `roles`
+    function requireRole(...roles) {
+        return async function (request, reply) {
+            try {
+                request.user = await authenticate(request);
+            } catch (error) {
+                console.error('Error authenticating request:', error);
+                return reply.status(500).send({ error: 'Internal server error', message: error.message });
+            }
+
+            if (!request.user) {
+                return reply.status(401).send({ error: 'Unauthorized', message: 'Login required' });
+            }
+            if (roles.length > 0 && !roles.includes(request.user.role)) {
+                return reply.status(403).send({ error: 'Forbidden', message: `Requires role: ${roles.join(' or ')}` });
+            }
+        };
+    }
+
+    // A link for clients that load a URL and can't send headers (calendar
+    // apps, audio players, WebSocket clients). It only opens `path`, and never
+    // outlives `ttlMinutes` (LINK_TOKEN_TTL_MINUTES by default).
+    function createLinkToken(user, path, ttlMinutes = config.auth.linkTokenTtlMinutes) {
+        const expires = Math.floor(Date.now() / 1000) + Math.round(ttlMinutes * 60);
+        return {
+            token: `${user.id}.${expires}.${linkSignature(linkSecret, user.id, expires, path)}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    // The user a link token for `path` was issued to, or null
+    async function verifyLinkToken(token, path) {
+        const [userId, expires, signature] = String(token).split('.');
+        if (!userId || !expires || !signature || Number(expires) * 1000 < Date.now()) {
+            return null;
+        }
+        const expected = Buffer.from(linkSignature(linkSecret, userId, expires, path));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        const user = await store.getUser(userId);
+        return user ? publicUser(user) : null;
+    }
+
+    // Like requireRole, but a link token for the request's path in ?token=
+    // also signs the user in
+    function requireRoleOrLinkToken(...roles) {
+        const requireSession = requireRole(...roles);
+        return async function (request, reply) {
+            if (request.headers.authorization || !request.query?.token) {
+                return requireSession(request, reply);
+            }
+
+            try {
+                request.user = await verifyLinkToken(request.query.token, request.url.split('?')[0]);
+            } catch (error) {
+                console.error('Error authenticating request:', error);
+                return reply.status(500).send({ error: 'Internal server error', message: error.message });
+            }
+
+            if (!request.user) {
+                return reply.status(401).send({ error: 'Unauthorized', message: 'Invalid or expired link' });
+            }
+            if (roles.length > 0 && !roles.includes(request.user.role)) {
+                return reply.status(403).send({ error: 'Forbidden', message: `Requires role: ${roles.join(' or ')}` });
+            }
+        };
+    }
+
+    // Like requireRole, but a request with `apiKey` in X-Api-Key is let in
+    // as an admin of every business. For scenarios that can't sign in.
+    function requireRoleOrApiKey(apiKey, ...roles) {
+        const requireSession = requireRole(...roles);
+        return async function (request, reply) {
+            const sent = request.headers['x-api-key'];
+            if (!apiKey || typeof sent !== 'string') {
+                return requireSession(request, reply);
+            }
+
+            const expected = crypto.createHash('sha256').update(apiKey).digest();
+            const actual = crypto.createHash('sha256').update(sent).digest();
+            if (!crypto.timingSafeEqual(expected, actual)) {
+                return reply.status(401).send({ error: 'Unauthorized', message: 'Invalid API key' });
+            }
+            request.user = { id: null, name: 'API key', role: 'admin', tenant_id: null };
+        };
+    }
+
+    function sessionCookie(token, expiresAt) {
+        const secure = (config.publicBaseUrl || '').startsWith('https://') ? '; Secure' : '';
+        const expires = expiresAt ? new Date(expiresAt).toUTCString() : new Date(0).toUTCString();
+        return `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Expires=${expires}${secure}`;
+    }
+
+    // Create the first admin from ADMIN_EMAIL/ADMIN_PASSWORD if there are no users yet
+    async function ensureAdmin() {
+        const { adminEmail, adminPassword } = config.auth;
+        if (!adminEmail || !adminPassword) {
+            return;
+        }
+
+        const users = await store.listUsers();
+        if (users.length > 0) {
+            return;
+        }
+
+        await store.createUser({
+            email: adminEmail,
+            name: 'Admin',
+            role: 'admin',
+            passwordHash: await hashPassword(adminPassword)
+        });
+        console.log(`Created admin user ${adminEmail}`);
+    }
+
+    return { login, logout, authenticate, requireRole, requireRoleOrLinkToken, requireRoleOrApiKey, createLinkToken, sessionCookie, ensureAdmin };
+}
@@ -0,0 +1,19 @@
+import { createLocalBlobStore } from './local.js';
+
+// Every blob store keeps files (call recordings) by key, e.g. "calls/<id>.wav":
+//   put(key, buffer)            -> store the file, replacing any with that key
+//   stat(key)                   -> { size } or null if there's no such file
+//   read(key, { start, end })   -> readable stream of the bytes start..end (inclusive)
+//   remove(key)
+// BLOB_STORE picks the one used.
+const BLOB_STORE_FACTORIES = {
+    local: createLocalBlobStore
+};
+
+export function createBlobStore(config) {
+    const factory = BLOB_STORE_FACTORIES[config.blobs.store];
+    if (!factory) {
+        throw new Error(`Unknown blob store "${config.blobs.store}", expected one of: ${Object.keys(BLOB_STORE_FACTORIES).join(', ')}`);
+    }
+    return factory(config);
+}
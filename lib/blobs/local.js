@@ -0,0 +1,47 @@
+import fs from 'fs';
+import path from 'path';
+
+// Local disk blob store. Files are kept under BLOB_DIR. On hosts with an
+// ephemeral disk (e.g. Cloud Run) mount a volume there or use another store.
+export function createLocalBlobStore(config) {
+    const root = path.resolve(config.blobs.dir);
+
+    // Keys are relative paths; anything that would land outside the root is refused
+    function fileFor(key) {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep)) {
+            throw new Error(`Invalid blob key "${key}"`);
+        }
+        return file;
+    }
+
+    async function put(key, buffer) {
+        const file = fileFor(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // Write to a temporary file first so readers never see half a file
+        await fs.promises.writeFile(`${file}.tmp`, buffer);
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    async function stat(key) {
+        try {
+            const { size } = await fs.promises.stat(fileFor(key));
+            return { size };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    function read(key, { start, end } = {}) {
+        return fs.createReadStream(fileFor(key), { start, end });
+    }
+
+    async function remove(key) {
+        await fs.promises.rm(fileFor(key), { force: true });
+    }
+
+    return { name: 'local', put, stat, read, remove };
+}
@@ -0,0 +1,109 @@
+// Call recording. Both sides of a call travel through the media stream as
+// 8 kHz G.711 μ-law: the caller's frames from Twilio, stamped with the ms
+// since the stream started, and the AI's audio from OpenAI, which arrives
+// faster than Twilio plays it. Both are kept as they arrive and mixed into a
+// 16-bit PCM WAV file when the call ends.
+const SAMPLE_RATE = 8000;
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+// μ-law byte -> 16-bit linear sample
+const MULAW_TO_LINEAR = new Int16Array(256);
+for (let byte = 0; byte < 256; byte++) {
+    const value = ~byte & 0xff;
+    const magnitude = (((value & 0x0f) << 3) + 0x84) << ((value >> 4) & 0x07);
+    MULAW_TO_LINEAR[byte] = value & 0x80 ? 0x84 - magnitude : magnitude - 0x84;
+}
+
+export function mulawToLinear(byte) {
+    return MULAW_TO_LINEAR[byte];
+}
+
+// 16-bit mono PCM samples as a WAV file
+export function toWav(samples, sampleRate = SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+    const dataBytes = samples.length * 2;
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+    return Buffer.concat([header, Buffer.from(samples.buffer, samples.byteOffset, dataBytes)]);
+}
+
+// One call's audio. Audio past `maxMinutes` isn't kept.
+export function createCallRecording({ maxMinutes = 60 } = {}) {
+    const maxSamples = maxMinutes * 60 * SAMPLE_RATE;
+    // { offset (samples from the start of the stream), audio (μ-law bytes) }
+    const inbound = [];
+    const outbound = [];
+    // Where the call is now, from the caller's frames, and where the AI
+    // audio queued so far finishes playing
+    let streamPosition = 0;
+    let outboundEnd = 0;
+
+    // A frame of the caller's audio, `timestamp` ms into the stream
+    function addInbound(timestamp, payload) {
+        const offset = Math.round(Number(timestamp) * SAMPLES_PER_MS);
+        if (!Number.isFinite(offset) || offset >= maxSamples) {
+            return;
+        }
+        const audio = Buffer.from(payload, 'base64');
+        inbound.push({ offset, audio });
+        streamPosition = Math.max(streamPosition, offset + audio.length);
+    }
+
+    // A chunk of the AI's audio. Twilio plays each chunk once the ones
+    // before it have finished, starting from where the call is now.
+    function addOutbound(payload) {
+        const offset = Math.max(streamPosition, outboundEnd);
+        if (offset >= maxSamples) {
+            return;
+        }
+        const audio = Buffer.from(payload, 'base64');
+        outbound.push({ offset, audio });
+        outboundEnd = offset + audio.length;
+    }
+
+    // The caller talked over the AI: Twilio drops the audio it hasn't played
+    function clearOutbound() {
+        for (let index = outbound.length - 1; index >= 0; index--) {
+            const chunk = outbound[index];
+            if (chunk.offset >= streamPosition) {
+                outbound.splice(index, 1);
+            } else if (chunk.offset + chunk.audio.length > streamPosition) {
+                chunk.audio = chunk.audio.subarray(0, streamPosition - chunk.offset);
+            }
+        }
+        outboundEnd = Math.min(outboundEnd, streamPosition);
+    }
+
+    function durationSeconds() {
+        return Math.round(Math.min(Math.max(streamPosition, outboundEnd), maxSamples) / SAMPLE_RATE);
+    }
+
+    // Both sides mixed into one WAV file
+    function toWavFile() {
+        const chunks = [...inbound, ...outbound];
+        const length = Math.min(maxSamples, chunks.reduce((end, chunk) => Math.max(end, chunk.offset + chunk.audio.length), 0));
+        const mixed = new Int16Array(length);
+
+        for (const { offset, audio } of chunks) {
+            const count = Math.min(audio.length, length - offset);
+            for (let index = 0; index < count; index++) {
+                const sample = mixed[offset + index] + MULAW_TO_LINEAR[audio[index]];
+                mixed[offset + index] = Math.max(-32768, Math.min(32767, sample));
+            }
+        }
+        return toWav(mixed);
+    }
+
+    return { addInbound, addOutbound, clearOutbound, durationSeconds, toWav: toWavFile };
+}
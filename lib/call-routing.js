@@ -0,0 +1,110 @@
+import { normalizePhoneNumber } from './phone.js';
+import { escapeXml, twiml } from './twilio.js';
+
+// Where a call goes when the AI shouldn't (or can't) handle it:
+//   transfer   the AI's transfer_to_human tool takes the live call over
+//              through the Twilio API and dials the tenant's transfer_phone
+//   voicemail  when nobody picks up, when nobody is there (outside opening
+//              hours or no transfer_phone), and for calls outside opening
+//              hours when the tenant's after_hours_calls is 'voicemail'
+// Twilio transcribes voicemails; the transcription is stored on the caller's
+// conversation and the conversation is flagged for staff.
+export const AFTER_HOURS_CALL_ROUTES = ['ai', 'voicemail'];
+
+export function createCallRouting({ config, store, tenants, scheduling, escalations, calls }) {
+    // Whether the AI answers an incoming call or it goes straight to voicemail
+    function routeIncoming(tenant, at = new Date()) {
+        return tenant.after_hours_calls === 'voicemail' && !scheduling.isOpen(tenant, at) ? 'voicemail' : 'ai';
+    }
+
+    // `baseUrl` is the public URL Twilio reaches this server on
+    function voicemailTwiml(tenant, baseUrl) {
+        return twiml(`<Say>${escapeXml(`Thanks for calling ${tenant.name}. ${config.callRouting.voicemailGreeting}`)}</Say>
+    <Record action="${escapeXml(`${baseUrl}/voicemail`)}" method="POST" maxLength="${config.callRouting.voicemailMaxSeconds}" playBeep="true" transcribe="true" transcribeCallback="${escapeXml(`${baseUrl}/voicemail/transcription`)}" />
+    <Say>We didn't get a message. Goodbye.</Say>`);
+    }
+
+    function dialTwiml(tenant, baseUrl) {
+        return twiml(`<Say>Please hold while I put you through.</Say>
+    <Dial action="${escapeXml(`${baseUrl}/call-transfer`)}" method="POST" timeout="${config.callRouting.transferTimeoutSeconds}">
+        <Number>${escapeXml(tenant.transfer_phone)}</Number>
+    </Dial>`);
+    }
+
+    // The call record for a Twilio call, opened now if the AI never answered it
+    async function findOrStartCall(tenant, { CallSid, From, To }) {
+        const call = await store.getCallBySid(CallSid);
+        if (call) {
+            return call;
+        }
+        const { call: started } = await calls.start(tenant, {
+            callSid: CallSid,
+            from: normalizePhoneNumber(From, config.defaultCountry),
+            to: To
+        });
+        return started;
+    }
+
+    // Hand a live call from the AI to a staff member, or to voicemail if
+    // nobody is there. Twilio ends the media stream once it has the new TwiML.
+    async function transfer(tenant, { callSid, reason, baseUrl }) {
+        const staffThere = Boolean(tenant.transfer_phone) && scheduling.isOpen(tenant);
+        await tenants.twilioFor(tenant).updateCall(callSid, staffThere ? dialTwiml(tenant, baseUrl) : voicemailTwiml(tenant, baseUrl));
+
+        const call = await store.getCallBySid(callSid);
+        if (call) {
+            await store.updateCall(call.id, { transfer_to: staffThere ? tenant.transfer_phone : null, transfer_reason: reason });
+        }
+
+        console.log(`Call ${callSid} ${staffThere ? `transferred to ${tenant.transfer_phone}` : 'sent to voicemail'}: ${reason}`);
+        return staffThere
+            ? { transferred: true }
+            : { transferred: false, voicemail: true, note: 'Nobody is available; the caller can leave a voicemail' };
+    }
+
+    // Twilio's <Dial> finished: staff took the call, or the caller can leave a message
+    async function dialFinished(tenant, { CallSid, DialCallStatus }, baseUrl) {
+        if (DialCallStatus === 'completed') {
+            const call = await store.getCallBySid(CallSid);
+            if (call) {
+                await store.updateCall(call.id, { outcome: 'transferred' });
+            }
+            return twiml('<Hangup/>');
+        }
+
+        console.log(`Transfer of call ${CallSid} not answered (${DialCallStatus}), taking a voicemail`);
+        return voicemailTwiml(tenant, baseUrl);
+    }
+
+    // The caller left a message; its transcription follows separately
+    async function voicemailLeft(tenant, params) {
+        const call = await findOrStartCall(tenant, params);
+        const updated = await store.updateCall(call.id, {
+            outcome: 'voicemail',
+            voicemail_url: params.RecordingUrl || null,
+            voicemail_seconds: parseInt(params.RecordingDuration, 10) || 0
+        });
+        if (updated.status === 'in_progress') {
+            await calls.end(tenant, updated);
+        }
+        return twiml("<Say>Thank you. We'll get back to you soon. Goodbye.</Say>\n    <Hangup/>");
+    }
+
+    // Store a voicemail's transcription on the caller's conversation and flag it for staff
+    async function voicemailTranscribed(tenant, params) {
+        const call = await findOrStartCall(tenant, params);
+        const conversation = call.conversation_id ? await store.getConversation(call.conversation_id).catch(() => null) : null;
+        if (!conversation) {
+            return;
+        }
+
+        const text = (params.TranscriptionText || '').trim();
+        const content = params.TranscriptionStatus === 'completed' && text
+            ? `Voicemail: ${text}`
+            : `Voicemail (${call.voicemail_seconds ?? 0}s), no transcription`;
+        await calls.recordTurn(tenant, { call, conversation }, 'user', content, { type: 'voicemail' });
+        await escalations.escalate(tenant, conversation, { trigger: 'voicemail', reason: 'Left a voicemail', excerpt: text || null });
+    }
+
+    return { routeIncoming, voicemailTwiml, transfer, dialFinished, voicemailLeft, voicemailTranscribed };
+}
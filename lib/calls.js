@@ -0,0 +1,146 @@
+// Voice calls. Each call gets a row in the calls table (who called, when and
+// for how long) on the caller's conversation, the same one their texts are
+// on. Every turn is stored on that conversation as its own message as it is
+// spoken (`user` for the caller, `assistant` for the AI) and broadcast over
+// /ws as `call_transcript`, so staff can follow the call live. With
+// CALL_RECORDING=true the call's audio is kept in the blob store too.
+//   ringing      a call to a lead (lib/outbound-calls.js) hasn't been answered yet
+//   in_progress  the call is connected
+//   completed    the caller or the AI hung up
+// A call handed on (see lib/call-routing.js) also gets an `outcome`:
+// 'transferred' when staff took it, 'voicemail' when the caller left one.
+// Calls to leads get theirs from lib/outbound-calls.js.
+export const CALL_STATUSES = ['ringing', 'in_progress', 'completed'];
+
+export function createCalls({ store, sinks, dashboard, blobs }) {
+    // Open the call record when the media stream starts, or when we place a
+    // call (`status` 'ringing'). The call is on the customer's conversation:
+    // the caller's, or the number we called. Callers who withhold their number
+    // get a conversation of their own, keyed by the call.
+    // Returns { call, conversation }.
+    async function start(tenant, { callSid, from, to, direction = 'inbound', status = 'in_progress' }) {
+        const customer = direction === 'outbound' ? to : from;
+        const conversation = await store.getOrCreateConversation(customer || `call_${callSid}`, '', tenant.id);
+        const call = await store.createCall({
+            tenant_id: tenant.id,
+            conversation_id: conversation.id,
+            call_sid: callSid,
+            direction,
+            from_number: from || null,
+            to_number: to || null,
+            status,
+            started_at: new Date().toISOString()
+        });
+
+        console.log(`Call ${callSid} ${direction === 'outbound' ? `to ${to}` : `from ${from || 'a withheld number'}`} on conversation ${conversation.id}`);
+        dashboard.broadcastMessage({
+            type: 'call_started',
+            conversation_id: conversation.id,
+            conversation,
+            call
+        }, tenant.id);
+        return { call, conversation };
+    }
+
+    // The call with this CallSid and its conversation, or null
+    async function find(callSid) {
+        const call = await store.getCallBySid(callSid);
+        if (!call) {
+            return null;
+        }
+        const conversation = call.conversation_id ? await store.getConversation(call.conversation_id).catch(() => null) : null;
+        return { call, conversation };
+    }
+
+    // A call we placed was picked up. Its duration counts from here.
+    async function answer(call) {
+        return store.updateCall(call.id, { status: 'in_progress', started_at: new Date().toISOString() });
+    }
+
+    // Store one spoken turn (or a voicemail, `type` 'voicemail') and show it
+    // on the dashboard. Returns the stored message.
+    async function recordTurn(tenant, { call, conversation }, sender, content, { prompt = null, type = 'call_turn' } = {}) {
+        const message = await sinks.record({
+            type,
+            direction: sender === 'user' ? 'inbound' : 'outbound',
+            tenant,
+            conversation,
+            phoneNumber: conversation.phone_number,
+            sender,
+            content,
+            prompt,
+            callId: call.id
+        });
+
+        dashboard.broadcastMessage({
+            type: 'call_transcript',
+            conversation_id: conversation.id,
+            call_id: call.id,
+            message
+        }, tenant.id);
+        return message;
+    }
+
+    // Replace a stored turn's text, e.g. with the part of an answer the
+    // caller heard before they talked over it. Returns the updated message.
+    async function correctTurn(tenant, { call, conversation }, message, content) {
+        const updated = await store.updateMessage(message.id, { content });
+        dashboard.broadcastMessage({
+            type: 'call_transcript',
+            conversation_id: conversation.id,
+            call_id: call.id,
+            message: updated,
+            corrected: true
+        }, tenant.id);
+        return updated;
+    }
+
+    // Keep a finished call's recording (see lib/call-recording.js) and link it
+    // from the call record. Returns the updated call.
+    async function saveRecording(call, recording) {
+        const key = `calls/${call.id}.wav`;
+        const wav = recording.toWav();
+        await blobs.put(key, wav);
+
+        console.log(`Saved the recording of call ${call.call_sid} (${wav.length} bytes)`);
+        return store.updateCall(call.id, {
+            recording_key: key,
+            recording_bytes: wav.length,
+            recording_seconds: recording.durationSeconds()
+        });
+    }
+
+    // Close the call record when the stream ends, with any other fields in
+    // `patch`. Returns the updated call. The stream, the voicemail and Twilio's
+    // status callback can each end the call; after the first it's left as it is.
+    async function end(tenant, call, patch = {}) {
+        const current = await store.getCall(call.id);
+        if (current?.status === 'completed') {
+            return current;
+        }
+
+        const endedAt = new Date();
+        const updated = await store.updateCall(call.id, {
+            status: 'completed',
+            ended_at: endedAt.toISOString(),
+            duration_seconds: Math.round((endedAt - new Date(call.started_at)) / 1000),
+            ...patch
+        });
+
+        console.log(`Call ${call.call_sid} ended after ${updated.duration_seconds}s`);
+        dashboard.broadcastMessage({
+            type: 'call_ended',
+            conversation_id: call.conversation_id,
+            call: updated
+        }, tenant.id);
+        return updated;
+    }
+
+    // A call with its turns in the order they were spoken
+    async function getWithTurns(call) {
+        const messages = call.conversation_id ? await store.getConversationMessages(call.conversation_id) : [];
+        return { ...call, turns: messages.filter(message => message.call_id === call.id) };
+    }
+
+    return { start, find, answer, recordTurn, correctTurn, saveRecording, end, getWithTurns };
+}
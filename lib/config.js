@@ -0,0 +1,237 @@
+import dotenv from 'dotenv';
+import { isSupportedCountry } from './phone.js';
+import { parseHoursList } from './follow-ups.js';
+import { DEFAULT_BUSINESS_NAME } from './prompts.js';
+import { parseOpeningHours } from './scheduling.js';
+import { AFTER_HOURS_CALL_ROUTES } from './call-routing.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+const DEFAULT_WEBHOOK_URL = 'https://hook.us1.make.com/6ip909xvgbf9bgu76ih2luo8iygn85jr';
+
+// Build the server configuration from the environment. Entry points pass the
+// defaults for their deployment (store, sinks, SMS delivery, port); env vars win.
+export function loadConfig(defaults = {}) {
+    const env = process.env;
+
+    let store = env.STORE || defaults.store || (env.SUPABASE_URL ? 'supabase' : 'memory');
+    let sinks = (env.SINKS ? env.SINKS.split(',') : defaults.sinks || [])
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    // Supabase used to be a sink; SINKS=supabase still selects the Supabase store
+    if (sinks.includes('supabase')) {
+        store = env.STORE || 'supabase';
+        sinks = sinks.filter(name => name !== 'supabase');
+    }
+
+    // Cloud Build deployments set USE_MAKE_WEBHOOK=true to forward events to Make.com
+    if (env.USE_MAKE_WEBHOOK === 'true' && !sinks.includes('webhook')) {
+        sinks.push('webhook');
+    }
+
+    return {
+        port: env.PORT || defaults.port || 5050,
+        // 'supabase' or 'memory' (optionally persisted to STORE_FILE)
+        store,
+        storeFile: env.STORE_FILE,
+        // Direct Postgres connection, used to run migrations on Supabase
+        databaseUrl: env.DATABASE_URL,
+        sinks,
+        // 'twilio' sends replies from this server, 'webhook' leaves delivery to the Make.com scenario
+        smsDelivery: env.SMS_DELIVERY || defaults.smsDelivery || 'twilio',
+        openaiApiKey: env.OPENAI_API_KEY,
+        // Assistant whose instructions can be imported as a prompt version
+        openaiAssistantId: env.OPENAI_ASSISTANT_ID,
+        // The default business; more are added as tenants (see lib/tenants.js)
+        businessName: env.BUSINESS_NAME || DEFAULT_BUSINESS_NAME,
+        // Free text such as "Mon-Fri 8am-6pm", the {{hours}} prompt variable
+        businessHours: env.BUSINESS_HOURS || '',
+        // Country national phone numbers (no +country code) are read in, e.g. US, CA, GB
+        defaultCountry: (env.DEFAULT_COUNTRY || 'US').toUpperCase(),
+        twilio: {
+            accountSid: env.TWILIO_ACCOUNT_SID,
+            authToken: env.TWILIO_AUTH_TOKEN,
+            phoneNumber: env.TWILIO_PHONE_NUMBER
+        },
+        // Public URL Twilio calls us on, used to check webhook signatures
+        publicBaseUrl: env.PUBLIC_BASE_URL,
+        // Only for local testing with test-sms.js: accept unsigned Twilio webhooks
+        twilioSignatureCheck: env.DISABLE_TWILIO_SIGNATURE_CHECK !== 'true',
+        // Reply to STOP/START/HELP with the standard confirmations. Turn off if
+        // Twilio's Advanced Opt-Out already answers them for the number.
+        optOutReplies: env.OPT_OUT_REPLIES !== 'false',
+        // Extract lead details (name, vehicle, service, availability) after each SMS exchange
+        leadExtraction: env.LEAD_EXTRACTION !== 'false',
+        // Origins allowed to call the API from a browser, e.g. a separately hosted dashboard
+        corsOrigins: (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+        auth: {
+            sessionTtlHours: parseInt(env.SESSION_TTL_HOURS, 10) || 12,
+            // Signed ?token= links for calendar feeds, recordings and /ws
+            linkTokenSecret: env.LINK_TOKEN_SECRET,
+            linkTokenTtlMinutes: parseInt(env.LINK_TOKEN_TTL_MINUTES, 10) || 60,
+            // First admin, created at startup when there are no users yet
+            adminEmail: env.ADMIN_EMAIL,
+            adminPassword: env.ADMIN_PASSWORD
+        },
+        supabase: {
+            url: env.SUPABASE_URL,
+            apiKey: env.SUPABASE_API_KEY
+        },
+        webhookUrl: env.WEBHOOK_URL || DEFAULT_WEBHOOK_URL,
+        // Hand human-mode conversations back to the AI after this many idle minutes (0 = never)
+        humanModeIdleMinutes: parseInt(env.HUMAN_MODE_IDLE_MINUTES, 10) || 0,
+        outbound: {
+            maxAttempts: parseInt(env.OUTBOUND_MAX_ATTEMPTS, 10) || 5,
+            retryBaseSeconds: parseInt(env.OUTBOUND_RETRY_BASE_SECONDS, 10) || 5,
+            pollIntervalMs: parseInt(env.OUTBOUND_POLL_INTERVAL_MS, 10) || 2000
+        },
+        scheduling: {
+            // Let the AI check availability and book appointments over SMS and on calls
+            enabled: env.APPOINTMENT_BOOKING !== 'false',
+            // Default opening hours in BUSINESS_TIME_ZONE, e.g. "mon-fri 08:00-17:00; sat 09:00-13:00"
+            openingHours: env.OPENING_HOURS || 'mon-fri 08:00-17:00',
+            appointmentMinutes: parseInt(env.APPOINTMENT_MINUTES, 10) || 60,
+            slotStepMinutes: parseInt(env.APPOINTMENT_SLOT_STEP_MINUTES, 10) || 30,
+            // Minimum notice for a booking, and how far ahead it can be
+            leadMinutes: parseInt(env.BOOKING_LEAD_MINUTES, 10) || 60,
+            horizonDays: parseInt(env.BOOKING_HORIZON_DAYS, 10) || 14
+        },
+        escalation: {
+            // Flag conversations for staff on keywords and angry messages
+            enabled: env.ESCALATION !== 'false',
+            // Extra phrases that hand a conversation to staff, comma-separated
+            keywords: (env.ESCALATION_KEYWORDS || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+            // Pricing questions go to staff; false leaves them to the AI
+            pricing: env.ESCALATION_PRICING !== 'false',
+            sentimentThreshold: parseInt(env.ESCALATION_SENTIMENT_THRESHOLD, 10) || 3,
+            // Sent to the customer instead of an AI reply when their message is escalated
+            holdingReply: env.ESCALATION_REPLY || "Thanks for your message. I've passed it to our team and someone will get back to you shortly."
+        },
+        // Alerts to on-call staff when a conversation needs attention
+        alerts: {
+            notifiers: (env.ALERT_NOTIFIERS || 'sms').split(',').map(name => name.trim()).filter(Boolean),
+            onCallPhone: env.ON_CALL_PHONE,
+            onCallEmail: env.ON_CALL_EMAIL,
+            sendgridApiKey: env.SENDGRID_API_KEY,
+            emailFrom: env.ALERT_EMAIL_FROM
+        },
+        callRouting: {
+            // Staff number the AI transfers calls to (default: the on-call phone)
+            transferPhone: env.CALL_TRANSFER_PHONE,
+            transferTimeoutSeconds: parseInt(env.CALL_TRANSFER_TIMEOUT_SECONDS, 10) || 20,
+            // Calls outside opening hours: 'ai' (the AI answers) or 'voicemail'
+            afterHours: env.AFTER_HOURS_CALLS || 'ai',
+            voicemailGreeting: env.VOICEMAIL_GREETING || "Nobody can take your call right now. Please leave your name and a message after the tone and we'll get back to you.",
+            voicemailMaxSeconds: 120
+        },
+        // AI calls to leads ("channel": "call" on /check-leads)
+        outboundCalls: {
+            ringTimeoutSeconds: parseInt(env.OUTBOUND_CALL_RING_SECONDS, 10) || 25,
+            // Leave the machine_message prompt on answering machines
+            machineDetection: env.OUTBOUND_CALL_MACHINE_DETECTION !== 'false'
+        },
+        recording: {
+            // Record calls, both sides mixed into one WAV file
+            enabled: env.CALL_RECORDING === 'true',
+            // Said to callers before they are connected when calls are recorded (empty = nothing)
+            announcement: env.CALL_RECORDING_ANNOUNCEMENT ?? 'This call may be recorded for quality and training purposes.',
+            maxMinutes: parseInt(env.CALL_RECORDING_MAX_MINUTES, 10) || 60
+        },
+        // Where files such as call recordings are kept: 'local' (under BLOB_DIR)
+        blobs: {
+            store: env.BLOB_STORE || 'local',
+            dir: env.BLOB_DIR || 'blobs'
+        },
+        followUps: {
+            // Hours after our last unanswered text to follow up, e.g. "24,72" (empty = never)
+            hours: env.FOLLOW_UP_HOURS ?? '24,72',
+            // Hours before an appointment to remind the customer (empty = never)
+            reminderHours: env.APPOINTMENT_REMINDER_HOURS ?? '24,2',
+            pollIntervalMs: parseInt(env.FOLLOW_UP_POLL_INTERVAL_MS, 10) || 60000
+        },
+        leadJobs: {
+            // Shared secret the Make.com scenario sends in X-Api-Key
+            apiKey: env.LEADS_API_KEY,
+            // Leads processed at once per /check-leads job
+            concurrency: parseInt(env.LEAD_JOB_CONCURRENCY, 10) || 3,
+            // How often leads deferred by quiet hours are checked
+            scheduledPollIntervalMs: parseInt(env.LEAD_SCHEDULE_POLL_INTERVAL_MS, 10) || 60000
+        },
+        // Local hours (in the lead's time zone) lead outreach may be sent in;
+        // leads outside the window are texted when it next opens
+        sendWindow: {
+            start: env.SEND_WINDOW_START || '09:00',
+            end: env.SEND_WINDOW_END || '20:00',
+            days: (env.SEND_WINDOW_DAYS || 'mon,tue,wed,thu,fri,sat,sun').split(',').map(day => day.trim().toLowerCase()).filter(Boolean),
+            // Used for leads whose time zone can't be told from their number
+            timeZone: env.BUSINESS_TIME_ZONE || 'America/New_York'
+        },
+        history: {
+            maxTurns: parseInt(env.HISTORY_MAX_TURNS, 10) || 20,
+            tokenBudget: parseInt(env.HISTORY_TOKEN_BUDGET, 10) || 2000
+        }
+    };
+}
+
+// Log environment variable status but don't exit
+export function logConfigStatus(config) {
+    if (!config.openaiApiKey) {
+        console.error('WARNING: Missing OpenAI API key. Some functionality will not work.');
+    } else {
+        console.log('OpenAI API key is set');
+    }
+
+    if (config.store === 'supabase') {
+        if (!config.supabase.url || !config.supabase.apiKey) {
+            console.error('WARNING: Missing Supabase credentials. Database functionality will not work.');
+        } else {
+            console.log('Supabase credentials are set');
+        }
+    }
+
+    if (config.sinks.includes('webhook')) {
+        console.log('Using webhook URL:', config.webhookUrl);
+    }
+
+    const { accountSid, authToken, phoneNumber } = config.twilio;
+    if (!accountSid || !authToken || !phoneNumber) {
+        console.error('WARNING: Missing Twilio credentials. SMS functionality will not work.');
+    } else {
+        console.log('Twilio credentials are set');
+    }
+
+    if (!isSupportedCountry(config.defaultCountry)) {
+        console.error(`WARNING: DEFAULT_COUNTRY ${config.defaultCountry} is not supported. Phone numbers without a country code will be rejected.`);
+    }
+
+    try {
+        parseOpeningHours(config.scheduling.openingHours);
+    } catch (error) {
+        console.error(`WARNING: OPENING_HOURS is invalid (${error.message}). Appointments can't be booked.`);
+    }
+
+    for (const [name, value] of [['FOLLOW_UP_HOURS', config.followUps.hours], ['APPOINTMENT_REMINDER_HOURS', config.followUps.reminderHours]]) {
+        try {
+            parseHoursList(value);
+        } catch (error) {
+            console.error(`WARNING: ${name} is invalid (${error.message}). Those messages won't be scheduled.`);
+        }
+    }
+
+    if (!AFTER_HOURS_CALL_ROUTES.includes(config.callRouting.afterHours)) {
+        console.error(`WARNING: AFTER_HOURS_CALLS must be one of ${AFTER_HOURS_CALL_ROUTES.join(', ')}. The AI answers every call.`);
+    }
+
+    if (!config.auth.linkTokenSecret) {
+        console.warn('WARNING: LINK_TOKEN_SECRET is not set. Calendar, recording and /ws links stop working when the server restarts.');
+    }
+
+    if (!config.publicBaseUrl) {
+        console.warn('WARNING: PUBLIC_BASE_URL is not set. Outbound SMS won\'t request delivery status callbacks.');
+    }
+
+    console.log(`Store: ${config.store}; sinks: ${config.sinks.join(', ') || 'none'}; SMS delivery: ${config.smsDelivery}`);
+    console.log(`PORT environment variable is set to: ${config.port}`);
+}
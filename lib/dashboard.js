@@ -0,0 +1,49 @@
+import WebSocket from 'ws';
+
+// Real-time updates for the dashboard, pushed over the /ws socket. Staff of a
+// tenant only get that tenant's updates; staff without a tenant get everything.
+export function createDashboard() {
+    const connectedClients = new Map();
+
+    // `request.user` is the authenticated staff member
+    function addClient(socket, request) {
+        const clientId = new URL(request.url, 'http://localhost').searchParams.get('clientId');
+        if (!clientId) {
+            socket.close();
+            return;
+        }
+
+        connectedClients.set(clientId, { socket, tenantId: request.user?.tenant_id ?? null });
+        console.log(`Client ${clientId} connected`);
+
+        socket.on('message', (message) => {
+            try {
+                const data = JSON.parse(message);
+                console.log(`Received message from client ${clientId}:`, data);
+            } catch (error) {
+                console.error('Error parsing WebSocket message:', error);
+            }
+        });
+
+        socket.on('close', () => {
+            connectedClients.delete(clientId);
+            console.log(`Client ${clientId} disconnected`);
+        });
+    }
+
+    // Function to broadcast message to connected clients. With `tenantId` (null
+    // for the default business) only that tenant's staff get it.
+    function broadcastMessage(message, tenantId) {
+        const messageString = JSON.stringify(message);
+        connectedClients.forEach(({ socket, tenantId: clientTenantId }) => {
+            if (tenantId !== undefined && clientTenantId !== null && clientTenantId !== tenantId) {
+                return;
+            }
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(messageString);
+            }
+        });
+    }
+
+    return { addClient, broadcastMessage };
+}
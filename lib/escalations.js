@@ -0,0 +1,150 @@
+// Escalation to staff when the AI shouldn't handle a conversation on its own.
+// A conversation is flagged `needs_attention` when:
+//   keyword    the customer asks for a person or a callback, asks about
+//              prices (unless ESCALATION_PRICING=false), or complains
+//              (ESCALATION_KEYWORDS adds more)
+//   sentiment  the message reads as angry (strong words, shouting)
+//   model      the AI called its escalate_to_human tool
+//   voicemail  the customer left a voicemail (see lib/call-routing.js)
+//   staff      someone flagged it from the dashboard
+// Flagging switches the conversation to human mode, broadcasts
+// `needs_attention` and alerts the on-call staff through the notifiers.
+export const ESCALATION_TRIGGERS = ['keyword', 'sentiment', 'model', 'voicemail', 'staff'];
+
+// Reason -> phrases, matched as whole words, case-insensitively
+const KEYWORD_RULES = {
+    'Asked for a person': ['speak to a person', 'talk to a person', 'real person', 'speak to someone', 'talk to someone', 'speak to a human', 'talk to a human', 'manager', 'supervisor'],
+    'Asked for a callback': ['call me', 'call me back', 'callback', 'call back', 'give me a call', 'phone me', 'ring me'],
+    'Pricing question': ['how much', 'price', 'prices', 'pricing', 'quote', 'estimate', 'what does it cost', 'what would it cost', 'cost to'],
+    'Complaint': ['complaint', 'complain', 'refund', 'lawyer', 'attorney', 'scam', 'rip off', 'ripoff', 'ripped off', 'bbb']
+};
+
+// Word -> how angry it reads
+const NEGATIVE_WORDS = {
+    angry: 2, furious: 3, livid: 3, pissed: 3, mad: 1, upset: 2, annoyed: 1, frustrated: 2,
+    terrible: 2, awful: 2, horrible: 2, worst: 3, ridiculous: 2, unacceptable: 3, useless: 2,
+    incompetent: 3, disgusting: 3, pathetic: 3, joke: 1, hate: 2, never: 1, wtf: 3, damn: 2, crap: 2
+};
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function phrasePattern(phrases) {
+    return new RegExp(`\\b(${phrases.map(escapeRegExp).join('|')})\\b`, 'i');
+}
+
+// How angry a message reads: negative words plus shouting. 0 for calm messages.
+export function sentimentScore(text) {
+    const words = (text || '').toLowerCase().match(/[a-z']+/g) || [];
+    let score = words.reduce((total, word) => total + (NEGATIVE_WORDS[word] || 0), 0);
+
+    const letters = (text || '').replace(/[^a-zA-Z]/g, '');
+    if (letters.length >= 8 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.6) {
+        score += 2;
+    }
+    if (/[!?]{2,}/.test(text || '')) {
+        score += 1;
+    }
+    return score;
+}
+
+export function createEscalations({ config, store, dashboard, modes, notifiers }) {
+    const rules = Object.entries(KEYWORD_RULES)
+        .filter(([reason]) => config.escalation.pricing || reason !== 'Pricing question')
+        .map(([reason, phrases]) => ({ reason, pattern: phrasePattern(phrases) }));
+    if (config.escalation.keywords.length > 0) {
+        rules.push({ reason: 'Escalation keyword', pattern: phrasePattern(config.escalation.keywords) });
+    }
+
+    // Whether an inbound message should go to staff. Returns { trigger, reason } or null.
+    function detect(text) {
+        if (!config.escalation.enabled || !text) {
+            return null;
+        }
+
+        const rule = rules.find(candidate => candidate.pattern.test(text));
+        if (rule) {
+            return { trigger: 'keyword', reason: `${rule.reason}: "${text.match(rule.pattern)[0]}"` };
+        }
+
+        const score = sentimentScore(text);
+        if (score >= config.escalation.sentimentThreshold) {
+            return { trigger: 'sentiment', reason: `Customer sounds upset (score ${score})` };
+        }
+        return null;
+    }
+
+    function alertFor(tenant, conversation, { reason, excerpt }) {
+        const customer = conversation.name ? `${conversation.name} (${conversation.phone_number})` : conversation.phone_number;
+        const link = config.publicBaseUrl ? `\n${config.publicBaseUrl.replace(/\/$/, '')}/index.html#${conversation.id}` : '';
+        return {
+            subject: `[${tenant.name}] Conversation needs attention`,
+            text: `${customer}: ${reason}${excerpt ? `\n"${excerpt.slice(0, 200)}"` : ''}${link}`
+        };
+    }
+
+    // Flag a conversation for staff, hand it over from the AI and alert the
+    // on-call staff. A conversation already flagged isn't alerted on again.
+    // Returns the updated conversation.
+    async function escalate(tenant, conversation, { trigger, reason, excerpt = null, userId = null }) {
+        if (conversation.needs_attention) {
+            return conversation;
+        }
+
+        const now = new Date().toISOString();
+        let updated = await store.updateConversation(conversation.id, {
+            needs_attention: true,
+            attention_reason: reason,
+            attention_trigger: trigger,
+            attention_at: now,
+            attention_resolved_at: null,
+            attention_resolved_by: null
+        });
+        if ((updated.mode || 'ai') === 'ai') {
+            updated = await modes.setMode(updated, 'human', userId);
+        }
+
+        console.log(`Conversation ${conversation.id} needs attention (${trigger}): ${reason}`);
+        dashboard.broadcastMessage({
+            type: 'needs_attention',
+            conversation_id: conversation.id,
+            needs_attention: true,
+            reason,
+            trigger,
+            flagged_at: now
+        }, tenant.id);
+
+        // Staff flagging it themselves don't need telling
+        if (trigger !== 'staff') {
+            await notifiers.notify(tenant, alertFor(tenant, updated, { reason, excerpt }));
+        }
+        return updated;
+    }
+
+    // Clear the flag once staff have dealt with it
+    async function resolve(tenant, conversation, userId = null) {
+        if (!conversation.needs_attention) {
+            return conversation;
+        }
+
+        const now = new Date().toISOString();
+        const updated = await store.updateConversation(conversation.id, {
+            needs_attention: false,
+            attention_resolved_at: now,
+            attention_resolved_by: userId
+        });
+
+        console.log(`Conversation ${conversation.id} no longer needs attention`);
+        dashboard.broadcastMessage({
+            type: 'needs_attention',
+            conversation_id: conversation.id,
+            needs_attention: false,
+            resolved_by: userId,
+            resolved_at: now
+        }, tenant.id);
+        return updated;
+    }
+
+    return { detect, escalate, resolve };
+}
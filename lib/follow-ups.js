@@ -0,0 +1,277 @@
+import { buildChatHistory } from './history.js';
+import { OPTED_OUT_CODE } from './opt-outs.js';
+import { resolveTimeZone } from './quiet-hours.js';
+import { formatLocalTime } from './scheduling.js';
+
+// Scheduled texts, kept in the scheduled_messages table so they survive restarts:
+//   follow_up             a nudge to a lead who stopped replying, FOLLOW_UP_HOURS
+//                         after our last text (one per entry, e.g. 24h then 3 days)
+//   appointment_reminder  APPOINTMENT_REMINDER_HOURS before an appointment
+// A follow-up sequence starts whenever the AI texts a lead and stops when the
+// customer replies, opts out, staff take over, the lead turns out not to be
+// one or books an appointment. Reminders stop when the appointment is cancelled.
+// The scheduler checks for due messages every minute.
+export const SCHEDULED_MESSAGE_KINDS = ['follow_up', 'appointment_reminder'];
+
+// "24,72" -> [24, 72]. Empty means none; throws on anything it can't read.
+export function parseHoursList(text) {
+    return (text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const hours = Number(part);
+        if (!(hours > 0)) {
+            throw new Error(`Invalid hours "${part}", expected e.g. 24,72`);
+        }
+        return hours;
+    });
+}
+
+export function createFollowUps({ config, store, sinks, openai, outbound, dashboard, optOuts, modes, tenants, prompts }) {
+    let timer = null;
+    let running = false;
+
+    // A tenant's hours, or none if they're invalid (logged at startup for the environment)
+    function hoursFor(text, kind) {
+        try {
+            return parseHoursList(text);
+        } catch (error) {
+            console.error(`Not scheduling ${kind} messages: ${error.message}`);
+            return [];
+        }
+    }
+
+    // Start the follow-up sequence after we text a lead, replacing any earlier one
+    async function startSequence(tenant, conversation) {
+        await store.cancelScheduledMessages({ conversation_id: conversation.id, kind: 'follow_up' }, 'Replaced by a newer follow-up sequence');
+
+        const now = Date.now();
+        for (const [index, hours] of hoursFor(tenant.follow_up_hours, 'follow_up').entries()) {
+            await store.createScheduledMessage({
+                tenant_id: tenant.id,
+                conversation_id: conversation.id,
+                kind: 'follow_up',
+                step: index + 1,
+                run_at: new Date(now + hours * 60 * 60 * 1000).toISOString(),
+                status: 'scheduled'
+            });
+        }
+    }
+
+    // Stop a conversation's follow-ups, e.g. because the customer replied
+    async function stopSequence(conversation, reason) {
+        const cancelled = await store.cancelScheduledMessages({ conversation_id: conversation.id, kind: 'follow_up' }, reason);
+        if (cancelled.length > 0) {
+            console.log(`Cancelled ${cancelled.length} follow-up(s) for conversation ${conversation.id}: ${reason}`);
+        }
+    }
+
+    // Schedule the reminders for a booked appointment. Reminders already due
+    // when it's booked are skipped: the confirmation has just gone out.
+    async function scheduleReminders(tenant, appointment) {
+        if (!appointment.conversation_id) {
+            return;
+        }
+
+        const startsAt = new Date(appointment.starts_at).getTime();
+        for (const [index, hours] of hoursFor(tenant.reminder_hours, 'appointment_reminder').entries()) {
+            const runAt = startsAt - hours * 60 * 60 * 1000;
+            if (runAt <= Date.now()) {
+                continue;
+            }
+            await store.createScheduledMessage({
+                tenant_id: tenant.id,
+                conversation_id: appointment.conversation_id,
+                appointment_id: appointment.id,
+                kind: 'appointment_reminder',
+                step: index + 1,
+                run_at: new Date(runAt).toISOString(),
+                status: 'scheduled'
+            });
+        }
+    }
+
+    async function cancelReminders(appointment, reason) {
+        await store.cancelScheduledMessages({ appointment_id: appointment.id }, reason);
+    }
+
+    // Why a follow-up shouldn't go out any more, or null if it should
+    async function followUpStopReason(scheduled, tenant, conversation, messages) {
+        const since = new Date(scheduled.created_at);
+        if (messages.some(message => message.sender === 'user' && new Date(message.created_at) >= since)) {
+            return 'Customer replied';
+        }
+        const mode = await modes.currentMode(conversation);
+        if (mode !== 'ai') {
+            return `Conversation is in ${mode} mode`;
+        }
+        if (conversation.qualification_status === 'unqualified') {
+            return 'Not a lead';
+        }
+        const upcoming = await store.listAppointments({ conversationId: conversation.id, status: 'booked', from: new Date() });
+        if (upcoming.length > 0) {
+            return 'Appointment booked';
+        }
+        return null;
+    }
+
+    // The text to send, or { cancel: reason }, or { reschedule: Date }
+    async function compose(scheduled, tenant, conversation) {
+        if (scheduled.kind === 'appointment_reminder') {
+            const appointment = await store.getAppointment(scheduled.appointment_id);
+            if (!appointment || appointment.status !== 'booked') {
+                return { cancel: 'Appointment cancelled' };
+            }
+            const when = formatLocalTime(new Date(appointment.starts_at), tenant.time_zone);
+            return {
+                content: `Reminder: your appointment at ${tenant.name} is ${when}${appointment.service ? ` (${appointment.service})` : ''}. Reply to this message if you need to change it.`
+            };
+        }
+
+        const messages = await store.getConversationMessages(conversation.id);
+        const reason = await followUpStopReason(scheduled, tenant, conversation, messages);
+        if (reason) {
+            return { cancel: reason };
+        }
+
+        // Follow-ups are marketing: only inside the sending window in the customer's time zone
+        const timeZone = resolveTimeZone(conversation.phone_number, null, tenant.time_zone);
+        const sendWindow = tenants.sendWindowFor(tenant);
+        if (!sendWindow.isOpen(timeZone)) {
+            return { reschedule: sendWindow.nextOpen(timeZone) };
+        }
+
+        const systemMessage = await prompts.render('follow_up', tenant, { customer_name: conversation.name });
+        const summaryMessage = await prompts.render('summary', tenant);
+        const history = await buildChatHistory(conversation, messages, {
+            systemMessage: systemMessage.content,
+            maxTurns: config.history.maxTurns,
+            tokenBudget: config.history.tokenBudget,
+            summarize: (summary, turns) => openai.summarizeTurns(summary, turns, summaryMessage.content),
+            saveSummary: (summary, lastMessageId) => store.updateConversation(conversation.id, { summary, summarized_message_id: lastMessageId })
+        });
+        return { content: await openai.complete(history), prompt: systemMessage.prompt };
+    }
+
+    // Send one claimed scheduled message
+    async function send(scheduled) {
+        try {
+            const tenant = await tenants.get(scheduled.tenant_id ?? null);
+            const conversation = await store.getConversation(scheduled.conversation_id).catch(() => null);
+            if (!tenant || !conversation) {
+                return store.updateScheduledMessage(scheduled.id, { status: 'cancelled', reason: 'Conversation not found' });
+            }
+
+            // Resumed after a restart with the message already stored: only (re)deliver it
+            let message = scheduled.message_id
+                ? (await store.getConversationMessages(conversation.id)).find(stored => String(stored.id) === String(scheduled.message_id))
+                : null;
+
+            if (!message) {
+                if (await optOuts.isOptedOut(conversation.phone_number, tenant.id)) {
+                    return store.updateScheduledMessage(scheduled.id, { status: 'cancelled', reason: 'Phone number has opted out of SMS' });
+                }
+
+                const { content, prompt, cancel, reschedule } = await compose(scheduled, tenant, conversation);
+                if (cancel) {
+                    console.log(`Not sending ${scheduled.kind} ${scheduled.id}: ${cancel}`);
+                    return store.updateScheduledMessage(scheduled.id, { status: 'cancelled', reason: cancel });
+                }
+                if (reschedule) {
+                    console.log(`Deferring ${scheduled.kind} ${scheduled.id} to ${reschedule.toISOString()} (quiet hours)`);
+                    return store.updateScheduledMessage(scheduled.id, { status: 'scheduled', run_at: reschedule.toISOString() });
+                }
+
+                message = await sinks.record({
+                    type: scheduled.kind,
+                    direction: 'outbound',
+                    tenant,
+                    conversation,
+                    phoneNumber: conversation.phone_number,
+                    sender: 'assistant',
+                    content,
+                    prompt
+                });
+                await store.updateScheduledMessage(scheduled.id, { message_id: message.id });
+            }
+
+            const delivered = await outbound.deliver(message, conversation.phone_number, { tenantId: tenant.id });
+
+            dashboard.broadcastMessage({
+                type: 'new_message',
+                conversation_id: conversation.id,
+                message: delivered
+            }, tenant.id);
+
+            console.log(`Sent ${scheduled.kind} ${scheduled.id} (step ${scheduled.step}) to ${conversation.phone_number}`);
+            return store.updateScheduledMessage(scheduled.id, { status: 'sent', sent_at: new Date().toISOString() });
+        } catch (error) {
+            // Opted out since: the queue suppressed the send
+            if (error.code === OPTED_OUT_CODE) {
+                return store.updateScheduledMessage(scheduled.id, { status: 'cancelled', reason: 'Phone number has opted out of SMS' });
+            }
+
+            console.error(`Error sending ${scheduled.kind} ${scheduled.id}:`, error.message);
+            return store.updateScheduledMessage(scheduled.id, {
+                status: 'failed',
+                reason: error.storedMessage?.error_message || error.message || 'Unknown error'
+            });
+        }
+    }
+
+    // Send every scheduled message whose time has come
+    async function processDue() {
+        if (running) {
+            return;
+        }
+        running = true;
+
+        try {
+            for (const scheduled of await store.listDueScheduledMessages()) {
+                // Claim it first so a slow send can't be picked up twice
+                const claimed = await store.updateScheduledMessage(scheduled.id, { status: 'sending' }, 'scheduled');
+                if (claimed) {
+                    await send(claimed);
+                }
+            }
+        } catch (error) {
+            console.error('Error sending scheduled messages:', error);
+        } finally {
+            running = false;
+        }
+    }
+
+    // Put back messages a restart interrupted mid-send
+    async function resumeUnfinished() {
+        for (const scheduled of await store.listScheduledMessages({ status: 'sending' })) {
+            console.log(`Resuming ${scheduled.kind} ${scheduled.id}`);
+            await store.updateScheduledMessage(scheduled.id, { status: 'scheduled' }, 'sending');
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(processDue, config.followUps.pollIntervalMs);
+            processDue();
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // A conversation's messages still to be sent, soonest first
+    async function listScheduled(conversationId) {
+        return store.listScheduledMessages({ conversationId, status: 'scheduled' });
+    }
+
+    return {
+        startSequence,
+        stopSequence,
+        scheduleReminders,
+        cancelReminders,
+        processDue,
+        resumeUnfinished,
+        start,
+        stop,
+        listScheduled
+    };
+}
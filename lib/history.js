@@ -0,0 +1,81 @@
+// Conversation history for SMS replies. The most recent turns are sent as-is,
+// bounded by a turn count and a token budget; once they're over it, the older
+// half is folded into a rolling summary stored on the conversation.
+
+// Stored sender -> chat role. Staff replies sent from the dashboard are the
+// business speaking, so the model sees them as its own turns.
+const CHAT_ROLES = {
+    user: 'user',
+    assistant: 'assistant',
+    agent: 'assistant'
+};
+
+// Rough token estimate (~4 characters per token), good enough for budgeting
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+// Index of the oldest of the newest turns that fit in `turnLimit` turns and
+// `tokenLimit` tokens. The newest turn is always kept.
+function newestThatFit(turns, turnLimit, tokenLimit) {
+    let keepFrom = turns.length;
+    let tokens = 0;
+    while (keepFrom > 0 && turns.length - keepFrom < turnLimit) {
+        const turnTokens = estimateTokens(turns[keepFrom - 1].content);
+        if (tokens + turnTokens > tokenLimit && keepFrom < turns.length) {
+            break;
+        }
+        tokens += turnTokens;
+        keepFrom--;
+    }
+    return keepFrom;
+}
+
+// Build the chat/completions messages for a conversation from its stored
+// messages: system prompt + rolling summary + the newest turns that fit.
+// `summarize(previousSummary, turns)` produces the new summary and
+// `saveSummary(summary, lastMessageId)` persists it.
+export async function buildChatHistory(conversation, storedMessages, options) {
+    const { systemMessage, maxTurns, tokenBudget, summarize, saveSummary } = options;
+
+    // Customer, assistant and staff (agent) messages are chat turns; skip
+    // anything already folded into the summary
+    let pending = storedMessages;
+    if (conversation.summarized_message_id) {
+        const summarizedIndex = storedMessages.findIndex(message => String(message.id) === String(conversation.summarized_message_id));
+        pending = storedMessages.slice(summarizedIndex + 1);
+    }
+    const turns = pending
+        .filter(message => CHAT_ROLES[message.sender])
+        .map(message => ({ id: message.id, role: CHAT_ROLES[message.sender], content: message.content }));
+
+    // Send every turn while they fit the budget. Past it, fold the history
+    // down to about half the budget, so the summary is redone every few
+    // replies rather than on each one.
+    const turnBudget = tokenBudget - estimateTokens(systemMessage) - estimateTokens(conversation.summary);
+    let keepFrom = newestThatFit(turns, maxTurns, turnBudget);
+    if (keepFrom > 0) {
+        keepFrom = newestThatFit(turns, Math.ceil(maxTurns / 2), turnBudget / 2);
+    }
+
+    let summary = conversation.summary || '';
+    const overflow = turns.slice(0, keepFrom);
+    if (overflow.length > 0) {
+        try {
+            summary = await summarize(summary, overflow);
+            await saveSummary(summary, overflow[overflow.length - 1].id);
+        } catch (error) {
+            // Not fatal: reply with the existing summary and retry folding next time
+            console.error('Error summarizing conversation history:', error);
+        }
+    }
+
+    const systemContent = summary
+        ? `${systemMessage}\n\nSummary of the conversation so far:\n${summary}`
+        : systemMessage;
+
+    return [
+        { role: 'system', content: systemContent },
+        ...turns.slice(keepFrom).map(({ role, content }) => ({ role, content }))
+    ];
+}
@@ -0,0 +1,77 @@
+// iCalendar (RFC 5545) export of appointments, for calendar apps
+
+// 20240501T090000Z
+function icsTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// which counts towards the next line's 75
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    let limit = 75;
+    while (Buffer.byteLength(rest) > limit) {
+        let length = limit;
+        while (Buffer.byteLength(rest.slice(0, length)) > limit) {
+            length--;
+        }
+        // Never between the two halves of a surrogate pair (emoji)
+        const last = rest.charCodeAt(length - 1);
+        if (last >= 0xD800 && last <= 0xDBFF) {
+            length--;
+        }
+        parts.push(rest.slice(0, length));
+        rest = rest.slice(length);
+        limit = 74;
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+}
+
+function appointmentEvent(appointment, businessName) {
+    const summary = [appointment.service || 'Appointment', appointment.customer_name].filter(Boolean).join(' - ');
+    const description = [
+        appointment.customer_name && `Customer: ${appointment.customer_name}`,
+        appointment.phone_number && `Phone: ${appointment.phone_number}`,
+        appointment.vehicle && `Vehicle: ${appointment.vehicle}`,
+        appointment.service && `Service: ${appointment.service}`,
+        appointment.notes && `Notes: ${appointment.notes}`
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${appointment.id}@ai-sms`,
+        `DTSTAMP:${icsTime(appointment.updated_at || appointment.created_at || new Date())}`,
+        `DTSTART:${icsTime(appointment.starts_at)}`,
+        `DTEND:${icsTime(appointment.ends_at)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description && `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(businessName)}`,
+        `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT'
+    ].filter(Boolean);
+}
+
+// A calendar with one event per appointment
+export function toIcs(appointments, businessName) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AI-SMS//Appointments//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`${businessName} appointments`)}`,
+        ...appointments.flatMap(appointment => appointmentEvent(appointment, businessName)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,347 @@
+import { OPTED_OUT_CODE } from './opt-outs.js';
+import { parsePhoneNumber } from './phone.js';
+import { resolveTimeZone } from './quiet-hours.js';
+
+// Lead outreach batches. POST /check-leads stores the leads as a job and
+// returns straight away; the job is processed in the background with bounded
+// concurrency and every lead gets an outcome:
+//   sent, called, skipped-invalid, skipped-duplicate, skipped-opted-out, failed (with a reason)
+// A job's channel is 'sms' (text the leads) or 'call' (the AI phones them,
+// see lib/outbound-calls.js; how each call went is on its call record).
+// Jobs belong to a tenant, whose prompts, number and sending window they use.
+// Leads outside the sending window in their time zone are 'scheduled' and
+// sent by the scheduler when it opens; the job stays 'scheduled' until then.
+// Unfinished jobs are picked up again when the server restarts.
+export const LEAD_CHANNELS = ['sms', 'call'];
+export const LEAD_OUTCOMES = ['pending', 'scheduled', 'sent', 'called', 'skipped-invalid', 'skipped-duplicate', 'skipped-opted-out', 'failed'];
+
+export function createLeadJobs({ config, store, sinks, openai, outbound, dashboard, optOuts, tenants, prompts, followUps, outboundCalls }) {
+    const activeJobs = new Set();
+    let timer = null;
+
+    // Store the job and its leads. Invalid numbers and numbers repeated
+    // within the batch are settled immediately.
+    async function createJob(leads, tenant, channel) {
+        const job = await store.createLeadJob({ status: 'queued', total: leads.length, tenant_id: tenant.id, channel });
+        const seen = new Set();
+
+        for (const [position, lead] of leads.entries()) {
+            const name = lead.name || '';
+            const { phoneNumber, error } = parsePhoneNumber(lead.phoneNumber, config.defaultCountry);
+
+            let outcome = 'pending';
+            let reason = null;
+            if (error) {
+                console.warn(`Skipping invalid phone number ${lead.phoneNumber}: ${error}`);
+                outcome = 'skipped-invalid';
+                reason = error;
+            } else if (seen.has(phoneNumber)) {
+                outcome = 'skipped-duplicate';
+                reason = 'Phone number appears earlier in this batch';
+            }
+            seen.add(phoneNumber);
+
+            await store.createLeadJobItem({
+                job_id: job.id,
+                position,
+                name,
+                phone_number: lead.phoneNumber || null,
+                normalized_phone: phoneNumber || null,
+                time_zone: phoneNumber ? resolveTimeZone(phoneNumber, lead.timeZone || lead.timezone, tenant.time_zone) : null,
+                outcome,
+                reason,
+                processed_at: outcome === 'pending' ? null : new Date().toISOString()
+            });
+        }
+
+        return job;
+    }
+
+    // Call a lead instead of texting them. Leads we've only texted may be
+    // called; ones who have replied are already talking to us.
+    async function callLead(item, tenant, conversation, existingMessages) {
+        if (existingMessages.some(message => message.sender === 'user')) {
+            return store.updateLeadJobItem(item.id, {
+                outcome: 'skipped-duplicate',
+                reason: 'Lead is already talking to us',
+                conversation_id: conversation.id,
+                processed_at: new Date().toISOString()
+            });
+        }
+
+        // Marked first, so a restart mid-call never rings the lead again
+        await store.updateLeadJobItem(item.id, { conversation_id: conversation.id, reason: 'Placing call' });
+        const call = await outboundCalls.place(tenant, conversation);
+        return store.updateLeadJobItem(item.id, {
+            outcome: 'called',
+            reason: null,
+            call_id: call.id,
+            processed_at: new Date().toISOString()
+        });
+    }
+
+    // The outreach message a job stored on a new conversation before it could
+    // record it on the lead's item, or null if the conversation has anything else
+    function unlinkedOutreach(messages) {
+        const ours = messages.length > 0 && messages.every(message => message.sender === 'assistant' && message.prompt_key === 'outreach');
+        return ours ? messages[messages.length - 1] : null;
+    }
+
+    // Outreach for one lead
+    async function processItem(item, tenant, channel) {
+        try {
+            // Resumed after a restart with the call already placed, or maybe
+            // placed: never call twice
+            if (item.call_id) {
+                return store.updateLeadJobItem(item.id, { outcome: 'called', reason: null, processed_at: new Date().toISOString() });
+            }
+            if (channel === 'call' && item.conversation_id) {
+                return store.updateLeadJobItem(item.id, {
+                    outcome: 'failed',
+                    reason: 'Interrupted while placing the call; not retried in case it went through',
+                    processed_at: new Date().toISOString()
+                });
+            }
+
+            // Resumed after a restart with the message already stored: only
+            // (re)deliver it; the outbound queue won't send it twice. A restart
+            // between storing it and linking it to the item leaves only the
+            // conversation on the item, with our outreach as its only messages.
+            if (item.message_id || (channel === 'sms' && item.conversation_id)) {
+                const messages = await store.getConversationMessages(item.conversation_id);
+                const message = item.message_id
+                    ? messages.find(stored => String(stored.id) === String(item.message_id))
+                    : unlinkedOutreach(messages);
+                if (message) {
+                    await outbound.deliver(message, item.normalized_phone, { tenantId: tenant.id });
+                    return store.updateLeadJobItem(item.id, { outcome: 'sent', message_id: message.id, processed_at: new Date().toISOString() });
+                }
+            }
+
+            // Outside the lead's sending hours: leave it for the scheduler
+            const sendWindow = tenants.sendWindowFor(tenant);
+            if (!sendWindow.isOpen(item.time_zone)) {
+                const scheduledFor = sendWindow.nextOpen(item.time_zone);
+                console.log(`Deferring lead ${item.normalized_phone} to ${scheduledFor.toISOString()} (quiet hours in ${item.time_zone})`);
+                return store.updateLeadJobItem(item.id, {
+                    outcome: 'scheduled',
+                    reason: `Outside sending hours in ${item.time_zone}`,
+                    scheduled_for: scheduledFor.toISOString()
+                });
+            }
+
+            // Never text a lead who has opted out
+            if (await optOuts.isOptedOut(item.normalized_phone, tenant.id)) {
+                return store.updateLeadJobItem(item.id, {
+                    outcome: 'skipped-opted-out',
+                    reason: 'Phone number has opted out of SMS',
+                    processed_at: new Date().toISOString()
+                });
+            }
+
+            const conversation = await store.getOrCreateConversation(item.normalized_phone, item.name, tenant.id);
+            const existingMessages = await store.getConversationMessages(conversation.id);
+            if (channel === 'call') {
+                return await callLead(item, tenant, conversation, existingMessages);
+            }
+
+            // Don't cold-text someone we're already talking to
+            if (existingMessages.length > 0) {
+                return store.updateLeadJobItem(item.id, {
+                    outcome: 'skipped-duplicate',
+                    reason: 'Lead already has a conversation',
+                    conversation_id: conversation.id,
+                    processed_at: new Date().toISOString()
+                });
+            }
+
+            // Marked first, so a restart before the message is linked resumes it
+            await store.updateLeadJobItem(item.id, { conversation_id: conversation.id });
+
+            // Make ChatGPT API call for initial outreach
+            const outreach = await prompts.render('outreach', tenant, { lead_name: item.name });
+            const aiResponse = await openai.complete([
+                { role: "system", content: outreach.content }
+            ]);
+
+            // Store AI message
+            const message = await sinks.record({
+                type: 'initial_outreach',
+                direction: 'outbound',
+                tenant,
+                conversation,
+                phoneNumber: item.normalized_phone,
+                name: item.name,
+                sender: 'assistant',
+                content: aiResponse,
+                prompt: outreach.prompt
+            });
+            await store.updateLeadJobItem(item.id, { message_id: message.id });
+
+            // Send SMS
+            const delivered = await outbound.deliver(message, item.normalized_phone, { tenantId: tenant.id });
+
+            // Broadcast message to connected clients
+            dashboard.broadcastMessage({
+                type: 'new_message',
+                conversation_id: conversation.id,
+                message: delivered
+            }, tenant.id);
+
+            // Follow up if the lead doesn't answer
+            await followUps.startSequence(tenant, conversation);
+
+            return store.updateLeadJobItem(item.id, {
+                outcome: 'sent',
+                reason: delivered.status === 'retrying' ? 'Queued for retry after a temporary Twilio error' : null,
+                processed_at: new Date().toISOString()
+            });
+        } catch (error) {
+            // Opted out while the job was running: the queue suppressed the send
+            if (error.code === OPTED_OUT_CODE) {
+                return store.updateLeadJobItem(item.id, {
+                    outcome: 'skipped-opted-out',
+                    reason: 'Phone number has opted out of SMS',
+                    processed_at: new Date().toISOString()
+                });
+            }
+
+            console.error(`Error processing lead ${item.normalized_phone} in job ${item.job_id}:`, error.message);
+            return store.updateLeadJobItem(item.id, {
+                outcome: 'failed',
+                reason: error.storedMessage?.error_message || error.message || 'Unknown error',
+                processed_at: new Date().toISOString()
+            });
+        }
+    }
+
+    // Work through a job's pending leads, `concurrency` at a time
+    async function processJob(jobId) {
+        if (activeJobs.has(jobId)) {
+            return;
+        }
+        activeJobs.add(jobId);
+
+        try {
+            // A scheduled job resumes here when its sending window opens
+            const job = await store.getLeadJob(jobId);
+            await store.updateLeadJob(jobId, { status: 'running', started_at: job.started_at || new Date().toISOString() });
+            const tenant = await tenants.get(job.tenant_id ?? null);
+            if (!tenant) {
+                throw new Error(`Tenant ${job.tenant_id} not found`);
+            }
+
+            const pending = (await store.listLeadJobItems(jobId)).filter(item => item.outcome === 'pending');
+            const worker = async () => {
+                while (pending.length > 0) {
+                    await processItem(pending.shift(), tenant, job.channel || 'sms');
+                }
+            };
+            await Promise.all(Array.from({ length: config.leadJobs.concurrency }, worker));
+
+            const scheduled = (await store.listLeadJobItems(jobId)).filter(item => item.outcome === 'scheduled');
+            if (scheduled.length > 0) {
+                await store.updateLeadJob(jobId, { status: 'scheduled' });
+                console.log(`Lead job ${jobId} waiting for the sending window for ${scheduled.length} lead(s)`);
+            } else {
+                await store.updateLeadJob(jobId, { status: 'completed', finished_at: new Date().toISOString() });
+                console.log(`Lead job ${jobId} completed`);
+            }
+        } catch (error) {
+            console.error(`Error processing lead job ${jobId}:`, error);
+            // processJob runs in the background, so it must never reject
+            try {
+                await store.updateLeadJob(jobId, { status: 'failed', finished_at: new Date().toISOString() });
+            } catch (updateError) {
+                console.error(`Error marking lead job ${jobId} failed:`, updateError);
+            }
+        } finally {
+            activeJobs.delete(jobId);
+        }
+    }
+
+    // Create a job for `tenant` and start processing it in the background
+    async function submit(leads, tenant = tenants.defaultTenant, channel = 'sms') {
+        const job = await createJob(leads, tenant, channel);
+        processJob(job.id);
+        return job;
+    }
+
+    // Pick up jobs a restart interrupted
+    async function resumeUnfinished() {
+        const unfinished = [
+            ...await store.listLeadJobs({ status: 'queued' }),
+            ...await store.listLeadJobs({ status: 'running' })
+        ];
+        for (const job of unfinished) {
+            console.log(`Resuming lead job ${job.id}`);
+            processJob(job.id);
+        }
+    }
+
+    // Release scheduled leads whose sending window has opened and run their jobs
+    async function processScheduled() {
+        try {
+            const now = Date.now();
+            const due = (await store.listLeadJobItemsByOutcome('scheduled'))
+                .filter(item => new Date(item.scheduled_for).getTime() <= now && !activeJobs.has(item.job_id));
+
+            const jobIds = new Set();
+            for (const item of due) {
+                await store.updateLeadJobItem(item.id, { outcome: 'pending', reason: null });
+                jobIds.add(item.job_id);
+            }
+            for (const jobId of jobIds) {
+                processJob(jobId);
+            }
+        } catch (error) {
+            console.error('Error releasing scheduled leads:', error);
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(processScheduled, config.leadJobs.scheduledPollIntervalMs);
+            processScheduled();
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // Job progress with per-lead results
+    async function getJob(id) {
+        const job = await store.getLeadJob(id);
+        if (!job) {
+            return null;
+        }
+
+        const items = await store.listLeadJobItems(id);
+        const counts = Object.fromEntries(LEAD_OUTCOMES.map(outcome => [outcome, 0]));
+        items.forEach(item => { counts[item.outcome] = (counts[item.outcome] || 0) + 1; });
+
+        return {
+            ...job,
+            processed: items.length - counts.pending - counts.scheduled,
+            counts,
+            results: items.map(item => ({
+                position: item.position,
+                name: item.name,
+                phoneNumber: item.phone_number,
+                normalizedPhone: item.normalized_phone,
+                timeZone: item.time_zone,
+                outcome: item.outcome,
+                scheduledFor: item.scheduled_for,
+                reason: item.reason,
+                conversationId: item.conversation_id,
+                messageId: item.message_id,
+                callId: item.call_id,
+                processedAt: item.processed_at
+            }))
+        };
+    }
+
+    return { submit, processJob, resumeUnfinished, processScheduled, start, stop, getJob };
+}
@@ -0,0 +1,170 @@
+// Lead qualification for SMS conversations. After each exchange the new
+// messages and the details known so far go to the model, which returns the
+// updated details; they are stored on the conversation and changes are
+// broadcast as `lead_updated`.
+//   new          nothing known yet
+//   in_progress  some of name, service and availability known
+//   qualified    name, service and availability all known
+//   unqualified  not a prospective customer (stays until changed explicitly)
+export const QUALIFICATION_STATUSES = ['new', 'in_progress', 'qualified', 'unqualified'];
+
+// Conversation columns holding the lead's details
+export const LEAD_FIELDS = ['name', 'vehicle', 'service_requested', 'availability', 'qualification_status', 'qualification_reason'];
+
+const DETAIL_FIELDS = ['name', 'vehicle', 'service_requested', 'availability'];
+
+// Stored sender -> transcript label
+const SPEAKERS = {
+    user: 'Customer',
+    assistant: 'Assistant',
+    agent: 'Staff'
+};
+
+// The lead's details as stored on a conversation
+export function leadDetails(conversation) {
+    return Object.fromEntries(LEAD_FIELDS.map(field => [
+        field,
+        field === 'qualification_status' ? conversation.qualification_status || 'new' : conversation[field] || null
+    ]));
+}
+
+function qualificationStatus(lead) {
+    const known = ['name', 'service_requested', 'availability'].filter(field => lead[field]);
+    if (known.length === 3) {
+        return 'qualified';
+    }
+    return known.length > 0 || lead.vehicle ? 'in_progress' : 'new';
+}
+
+// Merge the model's answer into the known details. It can fill in and
+// correct details but not erase them.
+function mergeDetails(current, extracted) {
+    const lead = { ...current };
+    for (const field of DETAIL_FIELDS) {
+        const value = typeof extracted[field] === 'string' ? extracted[field].trim() : '';
+        if (value) {
+            lead[field] = value;
+        }
+    }
+
+    if (current.qualification_status === 'unqualified') {
+        return lead;
+    }
+    if (extracted.not_a_lead) {
+        lead.qualification_status = 'unqualified';
+        lead.qualification_reason = extracted.not_a_lead_reason || null;
+    } else {
+        lead.qualification_status = qualificationStatus(lead);
+    }
+    return lead;
+}
+
+export function createLeadQualification({ config, store, openai, prompts, dashboard }) {
+    // Conversation id -> whether another extraction was asked for while one runs
+    const running = new Map();
+
+    // Save changed details and tell the dashboard. Returns the updated conversation.
+    async function saveDetails(conversation, lead, extra = {}) {
+        const current = leadDetails(conversation);
+        const changed = LEAD_FIELDS.filter(field => lead[field] !== current[field]);
+        if (changed.length === 0) {
+            return Object.keys(extra).length > 0 ? store.updateConversation(conversation.id, extra) : conversation;
+        }
+
+        const now = new Date().toISOString();
+        const updated = await store.updateConversation(conversation.id, {
+            ...Object.fromEntries(changed.map(field => [field, lead[field]])),
+            lead_updated_at: now,
+            ...extra
+        });
+
+        console.log(`Lead details for conversation ${conversation.id} updated: ${changed.join(', ')}`);
+        dashboard.broadcastMessage({
+            type: 'lead_updated',
+            conversation_id: conversation.id,
+            lead: leadDetails(updated),
+            changed,
+            updated_at: now
+        }, conversation.tenant_id ?? null);
+
+        return updated;
+    }
+
+    // Run the extraction over the messages since the last one
+    async function extractOnce(conversationId, tenant) {
+        const conversation = await store.getConversation(conversationId);
+        const messages = await store.getConversationMessages(conversationId);
+
+        const lastExtracted = conversation.lead_extracted_message_id
+            ? messages.findIndex(message => String(message.id) === String(conversation.lead_extracted_message_id))
+            : -1;
+        const newMessages = messages.slice(lastExtracted + 1).filter(message => SPEAKERS[message.sender]);
+        if (newMessages.length === 0) {
+            return conversation;
+        }
+
+        const current = leadDetails(conversation);
+        const transcript = newMessages.map(message => `${SPEAKERS[message.sender]}: ${message.content}`).join('\n');
+        const known = Object.fromEntries(DETAIL_FIELDS.map(field => [field, current[field]]));
+
+        const systemMessage = await prompts.render('qualification', tenant);
+        const extracted = await openai.extractLeadDetails(
+            systemMessage.content,
+            `Known details:\n${JSON.stringify(known)}\n\nNew messages:\n${transcript}`
+        );
+
+        return saveDetails(conversation, mergeDetails(current, extracted), {
+            lead_extracted_message_id: String(newMessages[newMessages.length - 1].id)
+        });
+    }
+
+    // Update the lead details from a conversation's latest messages. A call
+    // made while an extraction runs for the conversation makes it run again
+    // once it's done rather than in parallel.
+    async function extract(conversation, tenant) {
+        if (!config.leadExtraction) {
+            return conversation;
+        }
+        if (running.has(conversation.id)) {
+            running.set(conversation.id, true);
+            return conversation;
+        }
+
+        let updated = conversation;
+        try {
+            do {
+                running.set(conversation.id, false);
+                updated = await extractOnce(conversation.id, tenant);
+            } while (running.get(conversation.id));
+        } catch (error) {
+            console.error(`Error extracting lead details for conversation ${conversation.id}:`, error);
+        } finally {
+            running.delete(conversation.id);
+        }
+        return updated;
+    }
+
+    // Set details by hand, e.g. staff correcting them. Returns { conversation } or { error }.
+    async function update(conversation, fields) {
+        const lead = leadDetails(conversation);
+        for (const field of LEAD_FIELDS) {
+            if (fields[field] !== undefined) {
+                lead[field] = typeof fields[field] === 'string' ? fields[field].trim() || null : fields[field];
+            }
+        }
+        if (!QUALIFICATION_STATUSES.includes(lead.qualification_status)) {
+            return { error: `qualification_status must be one of: ${QUALIFICATION_STATUSES.join(', ')}` };
+        }
+        // Without an explicit status it follows the details, except that 'unqualified' stays
+        if (fields.qualification_status === undefined && lead.qualification_status !== 'unqualified') {
+            lead.qualification_status = qualificationStatus(lead);
+        }
+        if (lead.qualification_status !== 'unqualified') {
+            lead.qualification_reason = null;
+        }
+
+        return { conversation: await saveDetails(conversation, lead) };
+    }
+
+    return { extract, update };
+}
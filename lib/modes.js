@@ -0,0 +1,60 @@
+// Who answers a conversation: 'ai' auto-replies with GPT, 'human' means a
+// staff member has taken over from the dashboard, 'paused' stops automatic
+// replies until someone switches it back.
+export const MODES = ['ai', 'human', 'paused'];
+
+export function createModes({ config, store, dashboard }) {
+    async function setMode(conversation, mode, userId = null) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Mode must be one of: ${MODES.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        const updated = await store.updateConversation(conversation.id, {
+            mode,
+            mode_changed_at: now,
+            mode_changed_by: userId,
+            last_agent_activity_at: userId ? now : conversation.last_agent_activity_at || null
+        });
+
+        console.log(`Conversation ${conversation.id} switched to ${mode} mode${userId ? ` by ${userId}` : ''}`);
+
+        dashboard.broadcastMessage({
+            type: 'mode_changed',
+            conversation_id: conversation.id,
+            mode,
+            changed_by: userId,
+            changed_at: now
+        }, conversation.tenant_id ?? null);
+
+        return updated;
+    }
+
+    // Record staff activity, taking the conversation over from the AI
+    async function touchAgentActivity(conversation, userId) {
+        if ((conversation.mode || 'ai') === 'ai') {
+            return setMode(conversation, 'human', userId);
+        }
+
+        return store.updateConversation(conversation.id, { last_agent_activity_at: new Date().toISOString() });
+    }
+
+    // The conversation's mode, handing a human conversation back to the AI
+    // once staff have been idle for HUMAN_MODE_IDLE_MINUTES (if set)
+    async function currentMode(conversation) {
+        const mode = conversation.mode || 'ai';
+        const idleMinutes = config.humanModeIdleMinutes;
+
+        if (mode === 'human' && idleMinutes > 0) {
+            const lastActivity = new Date(conversation.last_agent_activity_at || conversation.mode_changed_at || 0);
+            if (Date.now() - lastActivity.getTime() > idleMinutes * 60 * 1000) {
+                await setMode(conversation, 'ai');
+                return 'ai';
+            }
+        }
+
+        return mode;
+    }
+
+    return { setMode, touchAgentActivity, currentMode };
+}
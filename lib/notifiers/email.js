@@ -0,0 +1,37 @@
+import fetch from 'node-fetch';
+
+// Email notifier. Sends the alert to the tenant's on-call address (ON_CALL_EMAIL
+// for the default business) through the SendGrid v3 mail API.
+export function createEmailNotifier(config) {
+    async function notify(tenant, alert) {
+        if (!tenant.on_call_email) {
+            console.warn(`No on-call email address for ${tenant.name}, skipping email alert`);
+            return;
+        }
+        if (!config.alerts.sendgridApiKey || !config.alerts.emailFrom) {
+            console.warn('SENDGRID_API_KEY or ALERT_EMAIL_FROM not set, skipping email alert');
+            return;
+        }
+
+        const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.alerts.sendgridApiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                personalizations: [{ to: tenant.on_call_email.split(',').map(email => ({ email: email.trim() })) }],
+                from: { email: config.alerts.emailFrom, name: tenant.name },
+                subject: alert.subject,
+                content: [{ type: 'text/plain', value: alert.text }]
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to send email alert: ${response.status} ${await response.text()}`);
+        }
+        console.log(`Sent email alert to ${tenant.on_call_email}`);
+    }
+
+    return { name: 'email', notify };
+}
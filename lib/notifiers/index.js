@@ -0,0 +1,32 @@
+import { createEmailNotifier } from './email.js';
+import { createSmsNotifier } from './sms.js';
+
+// Every notifier implements notify(tenant, { subject, text }), getting an alert
+// to the tenant's on-call staff. ALERT_NOTIFIERS picks which ones run.
+const NOTIFIER_FACTORIES = {
+    sms: createSmsNotifier,
+    email: createEmailNotifier
+};
+
+export function createNotifiers(config, { tenants }) {
+    const notifiers = config.alerts.notifiers.map((name) => {
+        const factory = NOTIFIER_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown notifier "${name}", expected one of: ${Object.keys(NOTIFIER_FACTORIES).join(', ')}`);
+        }
+        return factory(config, { tenants });
+    });
+
+    // Send the alert through every notifier. One failing doesn't stop the others.
+    async function notify(tenant, alert) {
+        for (const notifier of notifiers) {
+            try {
+                await notifier.notify(tenant, alert);
+            } catch (error) {
+                console.error(`Error sending ${notifier.name} alert:`, error.message);
+            }
+        }
+    }
+
+    return { notify };
+}
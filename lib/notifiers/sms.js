@@ -0,0 +1,16 @@
+// SMS notifier. Texts the alert to the tenant's on-call number (ON_CALL_PHONE
+// for the default business) from the tenant's own Twilio number. Staff alerts
+// aren't customer messages, so they skip the outbound queue and opt-out list.
+export function createSmsNotifier(config, { tenants }) {
+    async function notify(tenant, alert) {
+        if (!tenant.on_call_phone) {
+            console.warn(`No on-call phone number for ${tenant.name}, skipping SMS alert`);
+            return;
+        }
+
+        await tenants.twilioFor(tenant).sendSms(tenant.on_call_phone, `${alert.subject}\n${alert.text}`);
+        console.log(`Sent SMS alert to ${tenant.on_call_phone}`);
+    }
+
+    return { name: 'sms', notify };
+}
@@ -0,0 +1,168 @@
+import fetch from 'node-fetch';
+import { PROMPT_TEMPLATES } from './prompts.js';
+
+const CHAT_COMPLETIONS_URL = 'https://api.openai.com/v1/chat/completions';
+const ASSISTANTS_URL = 'https://api.openai.com/v1/assistants';
+
+export function createOpenAIClient({ apiKey }) {
+    // Raw chat/completions call, returns the parsed response body
+    async function chat(body) {
+        const response = await fetch(CHAT_COMPLETIONS_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        console.log('ChatGPT API response status:', response.status);
+        return response.json();
+    }
+
+    // Chat completion returning just the assistant's text
+    async function complete(messages, model = 'gpt-4o') {
+        const data = await chat({ model, messages });
+
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new Error(`Unexpected response structure from OpenAI API: ${JSON.stringify(data)}`);
+        }
+
+        return data.choices[0].message.content;
+    }
+
+    // Chat completion where the model may call `tools` (chat/completions
+    // function definitions). `runTool(name, argumentsJson, callId)` runs a call
+    // and its result goes back to the model until it answers in text.
+    async function completeWithTools(messages, tools, runTool, { model = 'gpt-4o', maxRounds = 5 } = {}) {
+        const conversation = [...messages];
+        for (let round = 0; round < maxRounds; round++) {
+            const data = await chat({ model, messages: conversation, tools });
+            const message = data.choices?.[0]?.message;
+            if (!message) {
+                throw new Error(`Unexpected response structure from OpenAI API: ${JSON.stringify(data)}`);
+            }
+            if (!message.tool_calls?.length) {
+                return message.content;
+            }
+
+            conversation.push(message);
+            for (const call of message.tool_calls) {
+                let result;
+                try {
+                    result = await runTool(call.function.name, call.function.arguments, call.id);
+                } catch (error) {
+                    console.error(`Error running tool ${call.function.name}:`, error);
+                    result = { error: error.message };
+                }
+                conversation.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+            }
+        }
+        throw new Error(`No answer from OpenAI after ${maxRounds} rounds of tool calls`);
+    }
+
+    // Function to make ChatGPT API completion call with structured outputs
+    async function makeChatGPTCompletion(transcript, systemMessage = PROMPT_TEMPLATES.extraction.template) {
+        console.log('Starting ChatGPT API call...');
+        try {
+            const data = await chat({
+                model: "gpt-4o-2024-08-06",
+                messages: [
+                    { "role": "system", "content": systemMessage },
+                    { "role": "user", "content": transcript }
+                ],
+                response_format: {
+                    "type": "json_schema",
+                    "json_schema": {
+                        "name": "customer_details_extraction",
+                        "schema": {
+                            "type": "object",
+                            "properties": {
+                                "customerName": { "type": "string" },
+                                "customerAvailability": { "type": "string" },
+                                "specialNotes": { "type": "string" }
+                            },
+                            "required": ["customerName", "customerAvailability", "specialNotes"]
+                        }
+                    }
+                }
+            });
+
+            console.log('Full ChatGPT API response:', JSON.stringify(data, null, 2));
+            return data;
+        } catch (error) {
+            console.error('Error in makeChatGPTCompletion:', error);
+            throw error;
+        }
+    }
+
+    // Updated lead details for an SMS conversation, as a parsed object
+    async function extractLeadDetails(systemMessage, input) {
+        const nullableString = { type: ['string', 'null'] };
+        const data = await chat({
+            model: 'gpt-4o-2024-08-06',
+            messages: [
+                { role: 'system', content: systemMessage },
+                { role: 'user', content: input }
+            ],
+            response_format: {
+                type: 'json_schema',
+                json_schema: {
+                    name: 'lead_details',
+                    strict: true,
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            name: nullableString,
+                            vehicle: nullableString,
+                            service_requested: nullableString,
+                            availability: nullableString,
+                            not_a_lead: { type: 'boolean' },
+                            not_a_lead_reason: nullableString
+                        },
+                        required: ['name', 'vehicle', 'service_requested', 'availability', 'not_a_lead', 'not_a_lead_reason'],
+                        additionalProperties: false
+                    }
+                }
+            }
+        });
+
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error(`Unexpected response structure from OpenAI API: ${JSON.stringify(data)}`);
+        }
+        return JSON.parse(content);
+    }
+
+    // Fold older turns into a conversation's rolling summary
+    async function summarizeTurns(previousSummary, turns, systemMessage = PROMPT_TEMPLATES.summary.template) {
+        const transcript = turns
+            .map(turn => `${turn.role === 'user' ? 'Customer' : 'Assistant'}: ${turn.content}`)
+            .join('\n');
+
+        const summary = await complete([
+            { role: "system", content: systemMessage },
+            { role: "user", content: `Current summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}` }
+        ]);
+
+        return summary.trim();
+    }
+
+    // An Assistant's settings, including its instructions
+    async function getAssistant(assistantId) {
+        const response = await fetch(`${ASSISTANTS_URL}/${encodeURIComponent(assistantId)}`, {
+            headers: {
+                'Authorization': `Bearer ${apiKey}`,
+                'OpenAI-Beta': 'assistants=v2'
+            }
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(`OpenAI API error ${response.status}: ${data.error?.message || JSON.stringify(data)}`);
+        }
+        return data;
+    }
+
+    return { chat, complete, completeWithTools, makeChatGPTCompletion, extractLeadDetails, summarizeTurns, getAssistant };
+}
@@ -0,0 +1,126 @@
+import { normalizePhoneNumber } from './phone.js';
+
+// SMS opt-out compliance. Customers opt out and back in with the standard
+// carrier keywords; an opted-out number gets no AI replies, lead outreach or
+// manual messages until it texts START again. Opt-outs are per tenant: they
+// apply to the business (number) the customer texted.
+export const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'REVOKE', 'OPTOUT'];
+export const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+export const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+export function optOutReply(businessName) {
+    return `You have successfully been unsubscribed from ${businessName}. You will not receive any more messages from this number. Reply START to resubscribe.`;
+}
+
+export function optInReply(businessName) {
+    return `You have successfully been re-subscribed to messages from ${businessName}. Reply HELP for help. Reply STOP to unsubscribe.`;
+}
+
+export function helpReply(businessName) {
+    return `${businessName}: reply to this message to book or ask about a service. Msg & data rates may apply. Reply STOP to unsubscribe.`;
+}
+
+// Error thrown when a send to an opted-out number is suppressed
+export const OPTED_OUT_CODE = 'opted_out';
+
+// Twilio refuses to send to a number that texted STOP to its opt-out handling
+const TWILIO_UNSUBSCRIBED_CODE = 21610;
+
+// The compliance keyword a message consists of, as { action, keyword } with
+// action 'stop', 'start' or 'help', or null. Like the carriers, only a
+// message that is just the keyword counts.
+export function parseKeyword(body) {
+    const keyword = (body || '').trim().replace(/[.!?]+$/, '').toUpperCase();
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+        return { action: 'stop', keyword };
+    }
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+        return { action: 'start', keyword };
+    }
+    if (HELP_KEYWORDS.includes(keyword)) {
+        return { action: 'help', keyword };
+    }
+    return null;
+}
+
+export function isTwilioUnsubscribedError(error) {
+    return Number(error.code) === TWILIO_UNSUBSCRIBED_CODE;
+}
+
+export function optedOutError(to) {
+    const error = new Error(`${to} has opted out of SMS`);
+    error.code = OPTED_OUT_CODE;
+    return error;
+}
+
+// Suppression list as CSV, for export to a CRM or the Make.com scenario
+export function toCsv(optOuts) {
+    const columns = ['phone_number', 'opted_out', 'keyword', 'source', 'opted_out_at', 'opted_in_at', 'tenant_id'];
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...optOuts.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+export function createOptOuts({ config, store, sinks, dashboard, tenants }) {
+    // The list is keyed by E.164 number, whatever format the caller has
+    function key(phoneNumber) {
+        return normalizePhoneNumber(phoneNumber, config.defaultCountry) || phoneNumber;
+    }
+
+    // Tell the dashboard and the sinks (e.g. the Make.com CRM sync)
+    async function announce(optOut, tenant) {
+        dashboard.broadcastMessage({ type: 'opt_out_changed', phone_number: optOut.phone_number, opted_out: optOut.opted_out }, tenant.id);
+        await sinks.record({
+            type: 'opt_out',
+            direction: 'status_update',
+            tenant,
+            phoneNumber: optOut.phone_number,
+            optedOut: optOut.opted_out,
+            keyword: optOut.keyword,
+            source: optOut.source
+        });
+    }
+
+    // `tenantId` is null for the default business
+    async function isOptedOut(phoneNumber, tenantId = null) {
+        const optOut = await store.getOptOut(tenantId, key(phoneNumber));
+        return Boolean(optOut && optOut.opted_out);
+    }
+
+    // `source` is where the opt-out came from: 'sms' (a keyword), 'twilio'
+    // (Twilio reported the number unsubscribed) or 'staff'
+    async function optOut(phoneNumber, { tenant = tenants.defaultTenant, keyword = null, source = 'sms' } = {}) {
+        const saved = await store.saveOptOut(tenant.id, key(phoneNumber), {
+            opted_out: true,
+            keyword,
+            source,
+            opted_out_at: new Date().toISOString()
+        });
+        console.log(`${phoneNumber} opted out of ${tenant.name} (${source}${keyword ? `: ${keyword}` : ''})`);
+        await announce(saved, tenant);
+        return saved;
+    }
+
+    async function optIn(phoneNumber, { tenant = tenants.defaultTenant, keyword = null, source = 'sms' } = {}) {
+        const saved = await store.saveOptOut(tenant.id, key(phoneNumber), {
+            opted_out: false,
+            keyword,
+            source,
+            opted_in_at: new Date().toISOString()
+        });
+        console.log(`${phoneNumber} opted back in to ${tenant.name} (${source}${keyword ? `: ${keyword}` : ''})`);
+        await announce(saved, tenant);
+        return saved;
+    }
+
+    // Currently opted-out numbers; `all` includes numbers that opted back in.
+    // Every tenant's unless `tenantId` is given.
+    async function list({ all = false, tenantId } = {}) {
+        return store.listOptOuts({ tenantId, optedOut: all ? undefined : true });
+    }
+
+    return { isOptedOut, optOut, optIn, list };
+}
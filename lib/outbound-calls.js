@@ -0,0 +1,99 @@
+import { normalizePhoneNumber } from './phone.js';
+import { escapeXml, twiml } from './twilio.js';
+
+// AI calls to leads (POST /check-leads with "channel": "call"). The call is
+// placed through the Twilio API with answering machine detection, and Twilio
+// asks /outbound-call what to do once it's picked up:
+//   a person answers   they hear the outbound_greeting prompt and are connected
+//                      to the voice assistant, with the outbound_voice
+//                      instructions, over /media-stream
+//   a machine answers  the machine_message prompt is left after the beep
+// The call is on the lead's conversation like any other, and its `outcome` is
+// how it went: answered, machine, fax, or Twilio's no-answer, busy, failed or
+// canceled when it never connected.
+export const OUTBOUND_CALL_OUTCOMES = ['answered', 'machine', 'fax', 'no-answer', 'busy', 'failed', 'canceled'];
+
+export function createOutboundCalls({ config, store, tenants, prompts, calls }) {
+    // Twilio needs full URLs for the call's webhooks
+    function webhookUrl(path) {
+        if (!config.publicBaseUrl) {
+            throw new Error('PUBLIC_BASE_URL must be set to call leads');
+        }
+        return `${config.publicBaseUrl.replace(/\/$/, '')}${path}`;
+    }
+
+    // Call the lead on `conversation`. Returns the call record, 'ringing'.
+    async function place(tenant, conversation) {
+        const placed = await tenants.twilioFor(tenant).createCall(conversation.phone_number, {
+            url: webhookUrl('/outbound-call'),
+            statusCallback: webhookUrl('/outbound-call/status'),
+            machineDetection: config.outboundCalls.machineDetection ? 'DetectMessageEnd' : null,
+            timeoutSeconds: config.outboundCalls.ringTimeoutSeconds
+        });
+
+        const { call } = await calls.start(tenant, {
+            callSid: placed.sid,
+            from: tenant.phone_number,
+            to: conversation.phone_number,
+            direction: 'outbound',
+            status: 'ringing'
+        });
+        return call;
+    }
+
+    // The call was picked up (Twilio's webhook for the call's TwiML; `To` is
+    // the lead). Returns { twiml } to leave a message or hang up, or
+    // { greeting, call } to connect the lead to the voice assistant.
+    async function answered(tenant, { CallSid, From, To, AnsweredBy }) {
+        const found = await calls.find(CallSid)
+            || await calls.start(tenant, { callSid: CallSid, from: From, to: normalizePhoneNumber(To, config.defaultCountry), direction: 'outbound' });
+        const { conversation } = found;
+        let { call } = found;
+        const variables = { lead_name: conversation?.name || 'there' };
+
+        if (AnsweredBy === 'fax') {
+            await calls.end(tenant, call, { outcome: 'fax' });
+            return { twiml: twiml('<Hangup/>') };
+        }
+        if (call.status === 'ringing') {
+            call = await calls.answer(call);
+        }
+
+        // With DetectMessageEnd Twilio waits for the beep before asking
+        if (AnsweredBy?.startsWith('machine')) {
+            const message = await prompts.render('machine_message', tenant, variables);
+            if (conversation) {
+                await calls.recordTurn(tenant, { call, conversation }, 'assistant', message.content, { prompt: message.prompt });
+            }
+            await calls.end(tenant, call, { outcome: 'machine' });
+
+            console.log(`Left a message on the answering machine for call ${CallSid}`);
+            return { twiml: twiml(`<Say>${escapeXml(message.content)}</Say>\n    <Hangup/>`) };
+        }
+
+        const greeting = await prompts.render('outbound_greeting', tenant, variables);
+        return { greeting: greeting.content, call: await store.updateCall(call.id, { outcome: 'answered' }) };
+    }
+
+    // Twilio's status callback when the call is over. Calls that never
+    // connected are closed here with Twilio's reason.
+    async function statusChanged(tenant, { CallSid, CallStatus }) {
+        const call = await store.getCallBySid(CallSid);
+        if (!call || call.status === 'completed') {
+            return;
+        }
+
+        if (call.status === 'ringing') {
+            console.log(`Call ${CallSid} to ${call.to_number} not answered (${CallStatus})`);
+            await calls.end(tenant, call, {
+                outcome: OUTBOUND_CALL_OUTCOMES.includes(CallStatus) ? CallStatus : null,
+                duration_seconds: 0
+            });
+        } else {
+            // Picked up but the media stream never closed the call
+            await calls.end(tenant, call);
+        }
+    }
+
+    return { place, answered, statusChanged };
+}
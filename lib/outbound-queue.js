@@ -0,0 +1,245 @@
+import { OPTED_OUT_CODE, isTwilioUnsubscribedError, optedOutError } from './opt-outs.js';
+
+// Durable outbound SMS queue. Every send is a row in outbound_jobs keyed by an
+// idempotency key, so the same message is never queued (or texted) twice. A
+// worker retries retryable Twilio failures with exponential backoff; permanent
+// failures and jobs out of attempts move to the dead-letter list. Sends to
+// numbers that have opted out are suppressed instead of sent.
+
+// Twilio error codes worth retrying: rate limits, internal errors, queue overflow
+const RETRYABLE_TWILIO_CODES = [20429, 20500, 20503, 30001];
+
+// A job left in 'sending' this long was interrupted mid-send (e.g. a restart)
+const STUCK_SENDING_MS = 5 * 60 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+export function isRetryableError(error) {
+    // Network errors never got a response from Twilio
+    if (!error.status) {
+        return true;
+    }
+    if (error.status === 429 || error.status >= 500) {
+        return true;
+    }
+    return RETRYABLE_TWILIO_CODES.includes(Number(error.code));
+}
+
+export function createOutboundQueue({ config, store, tenants, dashboard, optOuts }) {
+    const { maxAttempts, retryBaseSeconds, pollIntervalMs } = config.outbound;
+    let timer = null;
+    let processing = false;
+
+    // Exponential backoff with +/-20% jitter
+    function backoffMs(attempts) {
+        const delay = Math.min(retryBaseSeconds * 1000 * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    function broadcastStatus(job, message) {
+        dashboard.broadcastMessage({
+            type: 'message_status',
+            conversation_id: message.conversation_id,
+            message_id: message.id,
+            twilio_sid: message.twilio_sid || null,
+            status: message.status,
+            error_code: message.error_code || null
+        }, job.tenant_id ?? null);
+    }
+
+    async function updateMessage(job, patch) {
+        if (!job.message_id) {
+            return null;
+        }
+        return store.updateMessage(job.message_id, patch);
+    }
+
+    // Queue a send. An existing job with the same key is returned instead.
+    // Sends go out from the number of `tenantId` (null for the default business).
+    // `bypassOptOut` is only for the opt-out confirmations themselves.
+    async function enqueue({ idempotencyKey, messageId = null, tenantId = null, to, body, bypassOptOut = false }) {
+        const existing = await store.getOutboundJobByKey(idempotencyKey);
+        if (existing) {
+            return existing;
+        }
+
+        if (messageId) {
+            await store.updateMessage(messageId, { status: 'pending' });
+        }
+
+        return store.createOutboundJob({
+            idempotency_key: idempotencyKey,
+            message_id: messageId,
+            tenant_id: tenantId,
+            to_number: to,
+            body,
+            bypass_opt_out: bypassOptOut,
+            status: 'pending',
+            attempts: 0,
+            max_attempts: maxAttempts,
+            next_attempt_at: new Date().toISOString()
+        });
+    }
+
+    // Drop a job whose recipient opted out after it was queued
+    async function suppress(job) {
+        const error = optedOutError(job.to_number);
+        console.log(`Outbound job ${job.id} suppressed: ${error.message}`);
+
+        const suppressed = await store.updateOutboundJob(job.id, {
+            status: 'suppressed',
+            locked_at: null,
+            last_error: error.message,
+            last_error_code: OPTED_OUT_CODE
+        });
+        const message = await updateMessage(job, {
+            status: 'suppressed',
+            error_code: OPTED_OUT_CODE,
+            error_message: error.message
+        });
+
+        return { job: suppressed, message, error };
+    }
+
+    // Try to send a pending job once. Returns { job, message, error }, or null
+    // if another worker already claimed it.
+    async function attempt(job) {
+        const claimed = await store.updateOutboundJob(job.id, {
+            status: 'sending',
+            locked_at: new Date().toISOString()
+        }, 'pending');
+        if (!claimed) {
+            return null;
+        }
+
+        if (!claimed.bypass_opt_out && await optOuts.isOptedOut(claimed.to_number, claimed.tenant_id ?? null)) {
+            return suppress(claimed);
+        }
+
+        const tenant = (await tenants.get(claimed.tenant_id ?? null)) || tenants.defaultTenant;
+        const attempts = claimed.attempts + 1;
+        try {
+            const result = await tenants.twilioFor(tenant).sendSms(claimed.to_number, claimed.body);
+
+            const sent = await store.updateOutboundJob(claimed.id, {
+                status: 'sent',
+                attempts,
+                locked_at: null,
+                twilio_sid: result.sid,
+                last_error: null,
+                last_error_code: null
+            });
+            const message = await updateMessage(claimed, { twilio_sid: result.sid, status: result.status });
+
+            return { job: sent, message };
+        } catch (error) {
+            const retry = isRetryableError(error) && attempts < claimed.max_attempts;
+            const errorCode = error.code ? String(error.code) : null;
+            const errorMessage = error.twilioMessage || error.message;
+
+            console.error(`Outbound job ${claimed.id} attempt ${attempts}/${claimed.max_attempts} failed${retry ? ', will retry' : ', moving to dead letters'}:`, errorMessage);
+
+            // The customer texted STOP to Twilio's own opt-out handling
+            if (isTwilioUnsubscribedError(error)) {
+                await optOuts.optOut(claimed.to_number, { tenant, source: 'twilio' });
+            }
+
+            const failed = await store.updateOutboundJob(claimed.id, {
+                status: retry ? 'pending' : 'dead',
+                attempts,
+                locked_at: null,
+                next_attempt_at: retry ? new Date(Date.now() + backoffMs(attempts)).toISOString() : claimed.next_attempt_at,
+                last_error: errorMessage,
+                last_error_code: errorCode
+            });
+            const message = await updateMessage(claimed, {
+                status: retry ? 'retrying' : 'failed',
+                error_code: errorCode,
+                error_message: errorMessage
+            });
+
+            return { job: failed, message, error };
+        }
+    }
+
+    // Mark jobs interrupted mid-send as dead rather than risk texting twice
+    async function deadLetterStuckJobs() {
+        const sending = await store.listOutboundJobs({ status: 'sending' });
+        for (const job of sending) {
+            if (Date.now() - new Date(job.locked_at).getTime() < STUCK_SENDING_MS) {
+                continue;
+            }
+
+            const dead = await store.updateOutboundJob(job.id, {
+                status: 'dead',
+                locked_at: null,
+                last_error: 'Interrupted while sending; not retried automatically in case the SMS went out'
+            }, 'sending');
+            if (dead) {
+                const message = await updateMessage(dead, { status: 'failed', error_message: dead.last_error });
+                if (message) {
+                    broadcastStatus(dead, message);
+                }
+            }
+        }
+    }
+
+    // One worker pass: send every pending job that's due
+    async function processDue() {
+        if (processing) {
+            return;
+        }
+        processing = true;
+
+        try {
+            await deadLetterStuckJobs();
+
+            const pending = await store.listOutboundJobs({ status: 'pending', orderBy: 'next_attempt_at', limit: 20 });
+            const now = Date.now();
+            for (const job of pending) {
+                if (new Date(job.next_attempt_at).getTime() > now) {
+                    break;
+                }
+
+                const result = await attempt(job);
+                if (result && result.message) {
+                    broadcastStatus(result.job, result.message);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing outbound queue:', error);
+        } finally {
+            processing = false;
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(processDue, pollIntervalMs);
+            console.log(`Outbound queue worker started (every ${pollIntervalMs}ms)`);
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    async function listDeadLetters() {
+        return store.listOutboundJobs({ status: 'dead', orderBy: 'updated_at', ascending: false });
+    }
+
+    // Put a dead job back on the queue with a fresh set of attempts
+    async function retryDeadLetter(id) {
+        const job = await store.updateOutboundJob(id, {
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: new Date().toISOString()
+        }, 'dead');
+        if (job) {
+            await updateMessage(job, { status: 'pending', error_code: null, error_message: null });
+        }
+        return job;
+    }
+
+    return { enqueue, attempt, processDue, start, stop, listDeadLetters, retryDeadLetter };
+}
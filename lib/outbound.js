@@ -0,0 +1,87 @@
+// Twilio message statuses in delivery order. Status callbacks can arrive out
+// of order, so a message never moves back to an earlier status.
+const STATUS_ORDER = ['accepted', 'scheduled', 'queued', 'sending', 'sent', 'undelivered', 'failed', 'delivered', 'read'];
+const FINAL_STATUSES = ['undelivered', 'failed', 'delivered', 'read'];
+
+function isStatusAdvance(current, next) {
+    if (!current || !STATUS_ORDER.includes(current)) {
+        return true;
+    }
+    if (FINAL_STATUSES.includes(current) && FINAL_STATUSES.includes(next)) {
+        // 'read' follows 'delivered'; otherwise the first final status wins
+        return current === 'delivered' && next === 'read';
+    }
+    return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current);
+}
+
+// Outbound SMS delivery. With SMS_DELIVERY=twilio messages are sent from this
+// server through the outbound queue; with SMS_DELIVERY=webhook the outbound events recorded on the sinks
+// are the delivery mechanism and the Make.com scenario sends the SMS.
+// Callers check the opt-out list before recording an outbound message; the
+// queue suppresses anything that slips through (status 'suppressed').
+export function createOutbound({ config, store, queue }) {
+    // Send a stored message through the outbound queue, which records the
+    // Twilio MessageSid and status on its row. The first attempt happens right
+    // away: retryable failures are left to the queue worker (status
+    // 'retrying'), permanent ones mark the row failed and are rethrown with the
+    // updated message attached as `error.storedMessage`. Sends suppressed for
+    // an opted-out recipient are rethrown the same way, with code 'opted_out'.
+    // The SMS goes out from the number of `tenantId` (null for the default business).
+    async function deliver(message, to, { tenantId = null, bypassOptOut = false } = {}) {
+        if (config.smsDelivery !== 'twilio') {
+            return message;
+        }
+
+        const job = await queue.enqueue({
+            idempotencyKey: `message:${message.id}`,
+            messageId: message.id,
+            tenantId,
+            to,
+            body: message.content,
+            bypassOptOut
+        });
+
+        // Already queued before (e.g. a retried request): don't send it again
+        if (job.status !== 'pending' || job.attempts > 0) {
+            return message;
+        }
+
+        const result = await queue.attempt(job);
+        if (!result) {
+            return message;
+        }
+
+        if (result.error && ['dead', 'suppressed'].includes(result.job.status)) {
+            console.error(`Error delivering message ${message.id} to ${to}:`, result.error.message);
+            result.error.storedMessage = result.message;
+            throw result.error;
+        }
+
+        return result.message || message;
+    }
+
+    // Apply a Twilio status callback to the message it belongs to. Returns the
+    // updated message, or null when the message is unknown or the status is stale.
+    async function applyStatusCallback({ MessageSid, MessageStatus, ErrorCode, ErrorMessage }) {
+        const message = await store.getMessageByTwilioSid(MessageSid);
+        if (!message) {
+            console.warn(`Status callback for unknown message ${MessageSid}`);
+            return null;
+        }
+
+        if (!isStatusAdvance(message.status, MessageStatus)) {
+            console.log(`Ignoring stale status ${MessageStatus} for message ${MessageSid} (already ${message.status})`);
+            return null;
+        }
+
+        const patch = { status: MessageStatus };
+        if (ErrorCode) {
+            patch.error_code = String(ErrorCode);
+            patch.error_message = ErrorMessage || null;
+        }
+
+        return store.updateMessage(message.id, patch);
+    }
+
+    return { deliver, applyStatusCallback };
+}
@@ -0,0 +1,167 @@
+// Phone number parsing and E.164 normalization. Every number that's stored,
+// looked up or texted goes through here, so one person always has the same
+// number however it was typed ("512-729-5813", "(512) 729 5813", "+1 512...").
+
+// Country calling codes with the possible lengths of the national number
+// (after the trunk prefix is dropped). North America is validated separately.
+const COUNTRIES = {
+    US: { code: '1' },
+    CA: { code: '1' },
+    PR: { code: '1' },
+    GB: { code: '44', lengths: [9, 10], trunk: '0' },
+    IE: { code: '353', lengths: [7, 8, 9], trunk: '0' },
+    FR: { code: '33', lengths: [9], trunk: '0' },
+    DE: { code: '49', lengths: [6, 7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+    ES: { code: '34', lengths: [9] },
+    IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11] },
+    NL: { code: '31', lengths: [9], trunk: '0' },
+    BE: { code: '32', lengths: [8, 9], trunk: '0' },
+    CH: { code: '41', lengths: [9], trunk: '0' },
+    AT: { code: '43', lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13], trunk: '0' },
+    SE: { code: '46', lengths: [7, 8, 9], trunk: '0' },
+    NO: { code: '47', lengths: [8] },
+    DK: { code: '45', lengths: [8] },
+    PT: { code: '351', lengths: [9] },
+    PL: { code: '48', lengths: [9] },
+    MX: { code: '52', lengths: [10] },
+    BR: { code: '55', lengths: [10, 11], trunk: '0' },
+    IN: { code: '91', lengths: [10], trunk: '0' },
+    ZA: { code: '27', lengths: [9], trunk: '0' },
+    PH: { code: '63', lengths: [10], trunk: '0' },
+    JP: { code: '81', lengths: [9, 10], trunk: '0' },
+    SG: { code: '65', lengths: [8] },
+    AE: { code: '971', lengths: [8, 9], trunk: '0' },
+    IL: { code: '972', lengths: [8, 9], trunk: '0' },
+    AU: { code: '61', lengths: [9], trunk: '0' },
+    NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' }
+};
+
+const LENGTHS_BY_CODE = new Map(
+    Object.values(COUNTRIES).filter(country => country.lengths).map(country => [country.code, country.lengths])
+);
+
+// Every assigned country calling code (ITU-T E.164), for numbers from
+// countries not in COUNTRIES
+const CALLING_CODES = new Set([
+    '1', '7',
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+    '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+    '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98',
+    '211', '212', '213', '216', '218', '220', '221', '222', '223', '224', '225', '226', '227', '228', '229',
+    '230', '231', '232', '233', '234', '235', '236', '237', '238', '239', '240', '241', '242', '243', '244',
+    '245', '246', '247', '248', '249', '250', '251', '252', '253', '254', '255', '256', '257', '258',
+    '260', '261', '262', '263', '264', '265', '266', '267', '268', '269', '290', '291', '297', '298', '299',
+    '350', '351', '352', '353', '354', '355', '356', '357', '358', '359', '370', '371', '372', '373', '374',
+    '375', '376', '377', '378', '379', '380', '381', '382', '383', '385', '386', '387', '389', '420', '421', '423',
+    '500', '501', '502', '503', '504', '505', '506', '507', '508', '509',
+    '590', '591', '592', '593', '594', '595', '596', '597', '598', '599',
+    '670', '672', '673', '674', '675', '676', '677', '678', '679', '680', '681', '682', '683', '685', '686',
+    '687', '688', '689', '690', '691', '692', '800', '808', '850', '852', '853', '855', '856', '870', '878',
+    '880', '881', '882', '883', '886', '888', '960', '961', '962', '963', '964', '965', '966', '967', '968',
+    '970', '971', '972', '973', '974', '975', '976', '977', '979', '992', '993', '994', '995', '996', '998'
+]);
+
+// E.164 allows at most 15 digits including the country code
+const MAX_DIGITS = 15;
+const MIN_DIGITS = 8;
+
+export function isSupportedCountry(country) {
+    return Boolean(COUNTRIES[(country || '').toUpperCase()]);
+}
+
+// North American numbers: NPA-NXX-XXXX where neither the area code nor the
+// exchange starts with 0 or 1, and the area code isn't an N11 service code
+function validateNanp(national) {
+    if (national.length !== 10) {
+        return `North American numbers have 10 digits after the country code, got ${national.length}`;
+    }
+    const areaCode = national.slice(0, 3);
+    if (/^[01]/.test(areaCode) || /^\d11$/.test(areaCode)) {
+        return `${areaCode} is not a valid area code`;
+    }
+    if (/^[01]/.test(national.slice(3, 6))) {
+        return `${national.slice(3, 6)} is not a valid exchange (it can't start with 0 or 1)`;
+    }
+    return null;
+}
+
+// Validate digits in international form (country code first)
+function validateInternational(digits) {
+    if (digits.length > MAX_DIGITS) {
+        return 'Phone number is too long';
+    }
+    if (digits.length < MIN_DIGITS) {
+        return 'Phone number is too short';
+    }
+    if (digits.startsWith('0')) {
+        return 'Country code can\'t start with 0';
+    }
+    if (digits.startsWith('1')) {
+        return validateNanp(digits.slice(1));
+    }
+
+    for (const length of [3, 2, 1]) {
+        const code = digits.slice(0, length);
+        const lengths = LENGTHS_BY_CODE.get(code);
+        if (lengths) {
+            const national = digits.slice(length);
+            return lengths.includes(national.length)
+                ? null
+                : `Numbers for +${code} have ${lengths.length > 1 ? `${lengths[0]}-${lengths[lengths.length - 1]}` : lengths[0]} digits after the country code, got ${national.length}`;
+        }
+    }
+
+    if (![3, 2, 1].some(length => CALLING_CODES.has(digits.slice(0, length)))) {
+        return `+${digits.slice(0, 3)} is not a country calling code`;
+    }
+    // "+5127295813": a North American number stored without its 1
+    if (digits.length === 10 && !validateNanp(digits)) {
+        return 'Looks like a North American number missing its country code 1';
+    }
+    return null;
+}
+
+// Parse a phone number typed in any common format. National numbers are read
+// in `defaultCountry`. Returns { phoneNumber } in E.164, or { error } with
+// the reason the number was rejected.
+export function parsePhoneNumber(input, defaultCountry = 'US') {
+    if (input === null || input === undefined || String(input).trim() === '') {
+        return { error: 'Phone number is missing' };
+    }
+
+    // Drop an extension, which can't be texted anyway
+    const text = String(input).trim().replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '');
+    if (!/^\+?[\d\s().\-/]+$/.test(text)) {
+        return { error: 'Phone number contains letters or other invalid characters' };
+    }
+
+    const digits = text.replace(/\D/g, '');
+    const country = COUNTRIES[(defaultCountry || '').toUpperCase()];
+    if (!country) {
+        return { error: `Unsupported default country ${defaultCountry}` };
+    }
+
+    let international;
+    if (text.startsWith('+')) {
+        international = digits;
+    } else if (digits.startsWith('00')) {
+        // International dialing prefix used outside North America
+        international = digits.slice(2);
+    } else if (country.code === '1' && digits.startsWith('011')) {
+        international = digits.slice(3);
+    } else if (country.code === '1') {
+        // 1 + area code + number, as dialed in North America
+        international = digits.length === 11 && digits.startsWith('1') ? digits : `1${digits}`;
+    } else {
+        const national = country.trunk && digits.startsWith(country.trunk) ? digits.slice(country.trunk.length) : digits;
+        international = `${country.code}${national}`;
+    }
+
+    const error = validateInternational(international);
+    return error ? { error } : { phoneNumber: `+${international}` };
+}
+
+// E.164 form of a number, or null if it isn't a valid phone number
+export function normalizePhoneNumber(input, defaultCountry = 'US') {
+    return parsePhoneNumber(input, defaultCountry).phoneNumber || null;
+}
@@ -0,0 +1,125 @@
+import { PROMPT_TEMPLATES, renderTemplate, templateVariables } from './prompts.js';
+
+// Stored prompt templates. Each tenant (null is the default business) can keep
+// numbered versions of every prompt in lib/prompts.js; the active version is
+// used, or the built-in template (version 0) if none is active. Versions are
+// never deleted so the prompt_key/prompt_version on stored messages can always
+// be looked up.
+export function createPromptTemplates({ config, store, openai }) {
+    function isKnownKey(key) {
+        return Object.hasOwn(PROMPT_TEMPLATES, key);
+    }
+
+    function builtIn(key) {
+        const { template, description } = PROMPT_TEMPLATES[key];
+        return { key, version: 0, template, description, source: 'built-in', active: true };
+    }
+
+    // The template in use for `key`: the tenant's active version or the built-in one
+    async function resolve(key, tenant) {
+        if (!isKnownKey(key)) {
+            throw new Error(`Unknown prompt "${key}"`);
+        }
+        return (await store.getActivePromptVersion(tenant.id, key)) || builtIn(key);
+    }
+
+    // Render the prompt for `key` with the tenant's business details and any
+    // extra variables. `prompt` identifies the version for the messages it produces.
+    async function render(key, tenant, variables = {}) {
+        const { template, version } = await resolve(key, tenant);
+        const content = renderTemplate(template, {
+            business_name: tenant.name,
+            hours: tenant.business_hours,
+            ...variables
+        });
+        return { content, prompt: { key, version } };
+    }
+
+    // Every prompt with the version in use
+    async function list(tenantId) {
+        const versions = await store.listPromptVersions(tenantId);
+        return Object.entries(PROMPT_TEMPLATES).map(([key, { description, variables }]) => {
+            const active = versions.find(version => version.key === key && version.active) || builtIn(key);
+            return { key, description, variables, active, versions: versions.filter(version => version.key === key).length };
+        });
+    }
+
+    // One prompt with its full history, newest first, ending with the built-in template
+    async function get(tenantId, key) {
+        const { description, variables } = PROMPT_TEMPLATES[key];
+        const versions = [...(await store.listPromptVersions(tenantId, key)), builtIn(key)];
+        if (versions.some(version => version.version > 0 && version.active)) {
+            versions[versions.length - 1].active = false;
+        }
+        return { key, description, variables, versions };
+    }
+
+    // Check a template uses only the variables its prompt provides. Returns an error message or null.
+    function validate(key, template) {
+        if (!isKnownKey(key)) {
+            return `Unknown prompt "${key}", expected one of: ${Object.keys(PROMPT_TEMPLATES).join(', ')}`;
+        }
+        if (typeof template !== 'string' || !template.trim()) {
+            return 'template is required';
+        }
+        const unknown = templateVariables(template).filter(name => !PROMPT_TEMPLATES[key].variables.includes(name));
+        if (unknown.length > 0) {
+            return `Unknown variables ${unknown.map(name => `{{${name}}}`).join(', ')}; "${key}" can use ${PROMPT_TEMPLATES[key].variables.map(name => `{{${name}}}`).join(', ')}`;
+        }
+        return null;
+    }
+
+    // Save a template as the next version of `key`, in use straight away unless activate is false
+    async function createVersion(tenantId, key, { template, description = null, source = 'manual', assistantId = null, createdBy = null, activate = true }) {
+        const [latest] = await store.listPromptVersions(tenantId, key);
+        const promptVersion = await store.createPromptVersion({
+            tenant_id: tenantId,
+            key,
+            version: (latest?.version || 0) + 1,
+            template,
+            description,
+            source,
+            assistant_id: assistantId,
+            active: false,
+            created_by: createdBy
+        });
+
+        return activate ? store.activatePromptVersion(tenantId, key, promptVersion.version) : promptVersion;
+    }
+
+    // Switch to an earlier version, or 0 for the built-in template. Returns null if there's no such version.
+    async function activate(tenantId, key, version) {
+        if (version === 0) {
+            await store.activatePromptVersion(tenantId, key, 0);
+            return builtIn(key);
+        }
+        const versions = await store.listPromptVersions(tenantId, key);
+        if (!versions.some(promptVersion => promptVersion.version === version)) {
+            return null;
+        }
+        return store.activatePromptVersion(tenantId, key, version);
+    }
+
+    // Save the instructions of an OpenAI Assistant as a new version of `key`
+    async function importFromAssistant(tenantId, key, { assistantId = config.openaiAssistantId, createdBy = null } = {}) {
+        if (!assistantId) {
+            throw new Error('No assistant id given and OPENAI_ASSISTANT_ID is not set');
+        }
+
+        const assistant = await openai.getAssistant(assistantId);
+        const error = validate(key, assistant.instructions);
+        if (error) {
+            throw new Error(`Assistant ${assistantId} instructions can't be used: ${error}`);
+        }
+
+        return createVersion(tenantId, key, {
+            template: assistant.instructions,
+            description: `Imported from assistant ${assistant.name || assistantId}`,
+            source: 'assistant',
+            assistantId,
+            createdBy
+        });
+    }
+
+    return { isKnownKey, resolve, render, list, get, validate, createVersion, activate, importFromAssistant };
+}
@@ -0,0 +1,132 @@
+import { timeZoneForAreaCode } from './area-codes.js';
+
+// Quiet hours for lead outreach. Leads are only texted inside the business's
+// sending window, in the lead's own local time. Also home to the time zone
+// helpers the appointment scheduler uses.
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// 'HH:MM' -> minutes after midnight ('24:00' is the end of the day)
+export function parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    if (!match || Number(match[2]) > 59 || minutes > MINUTES_PER_DAY) {
+        throw new Error(`Invalid time "${value}", expected HH:MM`);
+    }
+    return minutes;
+}
+
+// Day of the week (0 = Sunday) and minutes after midnight at `date` in `timeZone`
+function localTime(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`
+function utcOffsetMinutes(date, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+// The calendar date ('YYYY-MM-DD') at `date` in `timeZone`
+export function localDate(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+// The instant that is `minutes` after midnight on `day` ('YYYY-MM-DD') in `timeZone`
+export function zonedTime(day, minutes, timeZone) {
+    const [year, month, date] = day.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, date, 0, minutes);
+
+    // The offset depends on the instant, so settle it in two passes (DST changes)
+    let instant = wallClock - utcOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+    instant = wallClock - utcOffsetMinutes(new Date(instant), timeZone) * 60000;
+    return new Date(instant);
+}
+
+// The lead's time zone: an explicit (valid) `timeZone` on the lead, else the
+// one its area code is in, else the business's own
+export function resolveTimeZone(phoneNumber, explicitTimeZone, defaultTimeZone) {
+    if (explicitTimeZone && isValidTimeZone(explicitTimeZone)) {
+        return explicitTimeZone;
+    }
+    return timeZoneForAreaCode(phoneNumber) || defaultTimeZone;
+}
+
+// `window` is a business's sending window: { start, end, days } with HH:MM
+// times and lowercase three-letter day names
+export function createSendWindow(window) {
+    const start = parseClockTime(window.start);
+    const end = parseClockTime(window.end);
+    const days = window.days.map(day => WEEKDAYS.indexOf(day));
+    if (start >= end) {
+        throw new Error(`Sending window start (${window.start}) must be before its end (${window.end})`);
+    }
+    if (days.length === 0 || days.includes(-1)) {
+        throw new Error(`Invalid sending days "${window.days.join(',')}", expected e.g. mon,tue,wed`);
+    }
+
+    function isOpen(timeZone, date = new Date()) {
+        const { day, minutes } = localTime(date, timeZone);
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // When the window next opens in `timeZone` (`date` itself if it's open)
+    function nextOpen(timeZone, date = new Date()) {
+        if (isOpen(timeZone, date)) {
+            return date;
+        }
+
+        const { day, minutes } = localTime(date, timeZone);
+        for (let offset = 0; offset <= 7; offset++) {
+            if (!days.includes((day + offset) % 7) || (offset === 0 && minutes >= start)) {
+                continue;
+            }
+
+            const delayMinutes = offset * MINUTES_PER_DAY + start - minutes;
+            const candidate = new Date(date.getTime() + delayMinutes * 60000);
+            candidate.setSeconds(0, 0);
+
+            // Correct for a daylight saving change in between
+            let drift = localTime(candidate, timeZone).minutes - start;
+            if (Math.abs(drift) > MINUTES_PER_DAY / 2) {
+                drift -= Math.sign(drift) * MINUTES_PER_DAY;
+            }
+            return new Date(candidate.getTime() - drift * 60000);
+        }
+
+        return date;
+    }
+
+    return { isOpen, nextOpen };
+}
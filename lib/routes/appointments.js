@@ -0,0 +1,271 @@
+import { canAccessTenant } from '../auth.js';
+import { normalizePhoneNumber } from '../phone.js';
+import { toIcs } from '../ics.js';
+import { APPOINTMENT_STATUSES, RESOURCE_KINDS, parseStartTime } from '../scheduling.js';
+
+// Appointments, availability and the bays/technicians they're booked on.
+// Tenant staff see their own tenant's; staff without a tenant pass ?tenantId=
+// (or tenantId in the body) for another business, the default business otherwise.
+export function registerAppointmentRoutes(fastify, { config, store, tenants, auth, scheduling }) {
+    const requireStaff = auth.requireRole('admin', 'agent');
+    const requireAdmin = auth.requireRole('admin');
+
+    // Calendar apps subscribe by URL and can't send headers, so the feed also
+    // takes a link token as ?token=
+    const requireStaffOrToken = auth.requireRoleOrLinkToken('admin', 'agent');
+
+    // The tenant the request is for, or null (after replying 400) if it doesn't exist
+    async function tenantScope(request, reply) {
+        const tenant = await tenants.get(request.user.tenant_id || request.query.tenantId || request.body?.tenantId || null);
+        if (!tenant) {
+            reply.status(400).send({ error: 'Tenant not found' });
+            return null;
+        }
+        return tenant;
+    }
+
+    // The appointment in the URL and its tenant, or null (after replying 404)
+    // if it doesn't exist or belongs to another tenant
+    async function findAppointment(request, reply) {
+        const appointment = await store.getAppointment(request.params.id).catch(() => null);
+        if (!appointment || !canAccessTenant(request.user, appointment.tenant_id)) {
+            reply.status(404).send({ error: 'Appointment not found' });
+            return null;
+        }
+        return { appointment, tenant: await tenants.get(appointment.tenant_id ?? null) };
+    }
+
+    // Route to list open appointment times (?date=YYYY-MM-DD&days=&duration= minutes)
+    fastify.get('/api/availability', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+            const { date, days, duration } = request.query;
+            if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                return reply.status(400).send({ error: 'date must be YYYY-MM-DD' });
+            }
+
+            const slots = await scheduling.findSlots(tenant, {
+                date,
+                days: Math.min(parseInt(days, 10) || 7, 31),
+                ...(parseInt(duration, 10) > 0 ? { durationMinutes: parseInt(duration, 10) } : {}),
+                limit: 200
+            });
+            reply.send({ time_zone: tenant.time_zone, opening_hours: tenant.opening_hours, slots });
+        } catch (error) {
+            console.error('Error fetching availability:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to list appointments (?from=&to= ISO times, ?status=booked|cancelled)
+    fastify.get('/api/appointments', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+            const { from, to, status } = request.query;
+            if (status && !APPOINTMENT_STATUSES.includes(status)) {
+                return reply.status(400).send({ error: `status must be one of: ${APPOINTMENT_STATUSES.join(', ')}` });
+            }
+
+            reply.send(await store.listAppointments({ tenantId: tenant.id, status: status || undefined, from, to }));
+        } catch (error) {
+            console.error('Error fetching appointments:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to book an appointment for a customer. `startsAt` is a local time
+    // in the business's time zone (2024-05-01T09:00) or an ISO time with an
+    // offset. Replies 409 with open alternatives if the time can't be booked.
+    fastify.post('/api/appointments', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+            const { startsAt, conversationId, phoneNumber, name, service, vehicle, notes, durationMinutes } = request.body || {};
+
+            const start = parseStartTime(startsAt, tenant.time_zone);
+            if (!start) {
+                return reply.status(400).send({ error: 'startsAt must be a time like 2024-05-01T09:00' });
+            }
+            if (durationMinutes !== undefined && !(Number.isInteger(durationMinutes) && durationMinutes > 0)) {
+                return reply.status(400).send({ error: 'durationMinutes must be a positive whole number' });
+            }
+
+            let conversation = null;
+            if (conversationId) {
+                conversation = await store.getConversation(conversationId).catch(() => null);
+                if (!conversation || (conversation.tenant_id ?? null) !== tenant.id) {
+                    return reply.status(404).send({ error: 'Conversation not found' });
+                }
+            }
+            if (!conversation) {
+                const normalized = normalizePhoneNumber(phoneNumber, config.defaultCountry);
+                if (!normalized) {
+                    return reply.status(400).send({ error: 'conversationId or a valid phoneNumber is required' });
+                }
+                // The confirmation goes on the customer's conversation
+                conversation = await store.getOrCreateConversation(normalized, name || '', tenant.id);
+            }
+
+            const { appointment, error, alternatives } = await scheduling.book(tenant, {
+                startsAt: start,
+                durationMinutes,
+                conversation,
+                name,
+                service,
+                vehicle,
+                notes,
+                source: 'staff',
+                bookedBy: request.user.id
+            });
+            if (error) {
+                return reply.status(409).send({ error, alternatives });
+            }
+            reply.status(201).send(appointment);
+        } catch (error) {
+            console.error('Error booking appointment:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to cancel an appointment; the customer is told by SMS
+    fastify.post('/api/appointments/:id/cancel', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const found = await findAppointment(request, reply);
+            if (!found) {
+                return;
+            }
+            if (found.appointment.status !== 'booked') {
+                return reply.status(409).send({ error: `Appointment is ${found.appointment.status}` });
+            }
+
+            reply.send(await scheduling.cancel(found.tenant, found.appointment, { cancelledBy: request.user.id }));
+        } catch (error) {
+            console.error('Error cancelling appointment:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to download one appointment as an .ics file
+    fastify.get('/api/appointments/:id/ics', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const found = await findAppointment(request, reply);
+            if (!found) {
+                return;
+            }
+
+            reply
+                .header('Content-Type', 'text/calendar; charset=utf-8')
+                .header('Content-Disposition', `attachment; filename="appointment-${found.appointment.id}.ics"`)
+                .send(toIcs([found.appointment], found.tenant.name));
+        } catch (error) {
+            console.error('Error exporting appointment:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to subscribe to a business's booked appointments as a calendar feed
+    fastify.get('/api/appointments.ics', { preHandler: requireStaffOrToken }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+
+            const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+            const appointments = await store.listAppointments({ tenantId: tenant.id, status: 'booked', from: since });
+            reply
+                .header('Content-Type', 'text/calendar; charset=utf-8')
+                .send(toIcs(appointments, tenant.name));
+        } catch (error) {
+            console.error('Error exporting appointments:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to list the bays and technicians appointments are booked on
+    fastify.get('/api/resources', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+
+            reply.send(await store.listResources({ tenantId: tenant.id, active: true }));
+        } catch (error) {
+            console.error('Error fetching resources:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to add a bay or technician ({ name, kind })
+    fastify.post('/api/resources', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const tenant = await tenantScope(request, reply);
+            if (!tenant) {
+                return;
+            }
+            const { name, kind } = request.body || {};
+            if (!name || typeof name !== 'string') {
+                return reply.status(400).send({ error: 'name is required' });
+            }
+            if (!RESOURCE_KINDS.includes(kind)) {
+                return reply.status(400).send({ error: `kind must be one of: ${RESOURCE_KINDS.join(', ')}` });
+            }
+
+            reply.status(201).send(await store.createResource({ tenant_id: tenant.id, name: name.trim(), kind, active: true }));
+        } catch (error) {
+            console.error('Error creating resource:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to retire a bay or technician. Booked appointments keep it.
+    fastify.delete('/api/resources/:id', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const resource = await store.getResource(request.params.id).catch(() => null);
+            if (!resource || !canAccessTenant(request.user, resource.tenant_id)) {
+                return reply.status(404).send({ error: 'Resource not found' });
+            }
+
+            reply.send(await store.updateResource(resource.id, { active: false }));
+        } catch (error) {
+            console.error('Error removing resource:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
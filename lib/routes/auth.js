@@ -0,0 +1,149 @@
+import { ROLES, canAccessTenant, hashPassword, publicUser } from '../auth.js';
+
+// Dashboard login and user management. Tenant admins manage their own tenant's users.
+export function registerAuthRoutes(fastify, { config, store, auth, tenants }) {
+    // Route to log in, returns a bearer token and sets the session cookie
+    fastify.post('/api/login', async (request, reply) => {
+        try {
+            const { email, password } = request.body || {};
+            if (!email || !password) {
+                reply.status(400).send({ error: 'Email and password are required' });
+                return;
+            }
+
+            const session = await auth.login(email, password);
+            if (!session) {
+                reply.status(401).send({ error: 'Unauthorized', message: 'Invalid email or password' });
+                return;
+            }
+
+            reply.header('Set-Cookie', auth.sessionCookie(session.token, session.expiresAt));
+            reply.send({ success: true, ...session });
+        } catch (error) {
+            console.error('Error logging in:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    fastify.post('/api/logout', { preHandler: auth.requireRole() }, async (request, reply) => {
+        try {
+            await auth.logout(request.user.token);
+            reply.header('Set-Cookie', auth.sessionCookie('', null));
+            reply.send({ success: true });
+        } catch (error) {
+            console.error('Error logging out:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    fastify.get('/api/me', { preHandler: auth.requireRole() }, async (request, reply) => {
+        const { token, ...user } = request.user;
+        reply.send(user);
+    });
+
+    // Route to sign a ?token= link to one path (`{ "path", "expiresInMinutes" }`),
+    // for calendar apps, audio players and WebSocket clients that can't send headers
+    fastify.post('/api/link-tokens', { preHandler: auth.requireRole() }, async (request, reply) => {
+        try {
+            const { path, expiresInMinutes } = request.body || {};
+            if (typeof path !== 'string' || !path.startsWith('/') || path.includes('?')) {
+                reply.status(400).send({ error: 'path must be a URL path such as /api/appointments.ics' });
+                return;
+            }
+            if (expiresInMinutes !== undefined && !(Number(expiresInMinutes) > 0)) {
+                reply.status(400).send({ error: 'expiresInMinutes must be a positive number' });
+                return;
+            }
+
+            // Never longer than a session
+            const ttlMinutes = Math.min(Number(expiresInMinutes) || config.auth.linkTokenTtlMinutes, config.auth.sessionTtlHours * 60);
+            const link = auth.createLinkToken(request.user, path, ttlMinutes);
+            reply.status(201).send({ ...link, url: `${path}?token=${encodeURIComponent(link.token)}` });
+        } catch (error) {
+            console.error('Error creating link token:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to list dashboard users
+    fastify.get('/api/users', { preHandler: auth.requireRole('admin') }, async (request, reply) => {
+        try {
+            const users = await store.listUsers();
+            reply.send(users.filter(user => canAccessTenant(request.user, user.tenant_id)).map(publicUser));
+        } catch (error) {
+            console.error('Error fetching users:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to create a dashboard user
+    fastify.post('/api/users', { preHandler: auth.requireRole('admin') }, async (request, reply) => {
+        try {
+            const { email, name, password, role = 'agent', tenantId: requestedTenantId } = request.body || {};
+            // Tenant admins can only add users to their own tenant
+            const tenantId = request.user.tenant_id || requestedTenantId || null;
+            if (!email || !password) {
+                reply.status(400).send({ error: 'Email and password are required' });
+                return;
+            }
+            if (!ROLES.includes(role)) {
+                reply.status(400).send({ error: `Role must be one of: ${ROLES.join(', ')}` });
+                return;
+            }
+            if (tenantId && !(await tenants.get(tenantId))) {
+                reply.status(400).send({ error: 'Tenant not found' });
+                return;
+            }
+            if (await store.getUserByEmail(email)) {
+                reply.status(409).send({ error: 'A user with that email already exists' });
+                return;
+            }
+
+            const user = await store.createUser({ email, name, role, tenantId, passwordHash: await hashPassword(password) });
+            reply.status(201).send(publicUser(user));
+        } catch (error) {
+            console.error('Error creating user:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to remove a dashboard user and end their sessions
+    fastify.delete('/api/users/:id', { preHandler: auth.requireRole('admin') }, async (request, reply) => {
+        try {
+            if (request.params.id === request.user.id) {
+                reply.status(400).send({ error: 'You cannot delete your own user' });
+                return;
+            }
+
+            const user = await store.getUser(request.params.id);
+            if (!user || !canAccessTenant(request.user, user.tenant_id)) {
+                reply.status(404).send({ error: 'User not found' });
+                return;
+            }
+
+            await store.deleteUser(request.params.id);
+            reply.send({ success: true });
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
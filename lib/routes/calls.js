@@ -0,0 +1,128 @@
+import { canAccessTenant } from '../auth.js';
+import { CALL_STATUSES } from '../calls.js';
+
+// A Range header ("bytes=0-499", "bytes=500-", "bytes=-500") for a file of
+// `size` bytes: { start, end } (inclusive), 'unsatisfiable', or null to send
+// the whole file (no header, or several ranges, which we don't serve)
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+    }
+    if (start >= size || start > end) {
+        return 'unsatisfiable';
+    }
+    return { start, end };
+}
+
+// Where a call's recording can be played from, if it has one
+function withRecordingUrl(call) {
+    return { ...call, recording_url: call.recording_key ? `/api/calls/${call.id}/recording` : null };
+}
+
+// Voice call records. Tenant staff only see their own tenant's calls.
+export function registerCallRoutes(fastify, { store, auth, blobs, calls }) {
+    const requireStaff = auth.requireRole('admin', 'agent');
+
+    // Audio players load the recording by URL and can't send headers, so the
+    // download also takes a link token as ?token=
+    const requireStaffOrToken = auth.requireRoleOrLinkToken('admin', 'agent');
+
+    // The call in the URL, or null (after replying 404) if it doesn't exist
+    // or belongs to another tenant
+    async function findCall(request, reply) {
+        const call = await store.getCall(request.params.id).catch(() => null);
+        if (!call || !canAccessTenant(request.user, call.tenant_id)) {
+            reply.status(404).send({ error: 'Call not found' });
+            return null;
+        }
+        return call;
+    }
+
+    // Route to list calls, newest first (?conversationId=, ?status=in_progress|completed)
+    fastify.get('/api/calls', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const { tenant_id: tenantId } = request.user;
+            const { conversationId, status } = request.query;
+            if (status !== undefined && !CALL_STATUSES.includes(status)) {
+                return reply.status(400).send({ error: `status must be one of: ${CALL_STATUSES.join(', ')}` });
+            }
+
+            const found = await store.listCalls({ tenantId: tenantId || undefined, conversationId, status });
+            reply.send(found.map(withRecordingUrl));
+        } catch (error) {
+            console.error('Error fetching calls:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to get a call with its transcript, one message per turn
+    fastify.get('/api/calls/:id', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const call = await findCall(request, reply);
+            if (!call) {
+                return;
+            }
+
+            reply.send(withRecordingUrl(await calls.getWithTurns(call)));
+        } catch (error) {
+            console.error('Error fetching call:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to download or stream a call's recording (WAV). Supports Range
+    // requests so the dashboard's player can seek.
+    fastify.get('/api/calls/:id/recording', { preHandler: requireStaffOrToken }, async (request, reply) => {
+        try {
+            const call = await findCall(request, reply);
+            if (!call) {
+                return;
+            }
+            const file = call.recording_key ? await blobs.stat(call.recording_key) : null;
+            if (!file) {
+                return reply.status(404).send({ error: 'Recording not found' });
+            }
+
+            reply
+                .header('Accept-Ranges', 'bytes')
+                .header('Content-Type', 'audio/wav')
+                .header('Content-Disposition', `inline; filename="call-${call.id}.wav"`);
+
+            const range = parseRange(request.headers.range, file.size);
+            if (range === 'unsatisfiable') {
+                return reply.status(416).header('Content-Range', `bytes */${file.size}`).send();
+            }
+            if (!range) {
+                return reply.header('Content-Length', file.size).send(blobs.read(call.recording_key));
+            }
+            return reply
+                .status(206)
+                .header('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`)
+                .header('Content-Length', range.end - range.start + 1)
+                .send(blobs.read(call.recording_key, range));
+        } catch (error) {
+            console.error('Error fetching recording:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
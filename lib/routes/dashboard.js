@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { MODES } from '../modes.js';
+import { canAccessTenant } from '../auth.js';
+import { QUALIFICATION_STATUSES } from '../lead-qualification.js';
+
+// Dashboard: static files, conversation API and the /ws update socket. Tenant
+// staff only see their own tenant's conversations.
+export function registerDashboardRoutes(fastify, { store, sinks, outbound, dashboard, auth, modes, optOuts, tenants, leadQualification, followUps, escalations }) {
+    const requireStaff = auth.requireRole('admin', 'agent');
+
+    // The conversation in the URL, or null (after replying 404) if it doesn't
+    // exist or belongs to another tenant
+    async function findConversation(request, reply) {
+        const conversation = await store.getConversation(request.params.id).catch(() => null);
+        if (!conversation || !canAccessTenant(request.user, conversation.tenant_id)) {
+            reply.status(404).send({ error: 'Conversation not found' });
+            return null;
+        }
+        return conversation;
+    }
+
+    // We'll handle static files manually instead of using @fastify/static
+    fastify.get('/index.html', async (request, reply) => {
+        reply.type('text/html').send(fs.readFileSync(path.join(process.cwd(), 'public', 'index.html')));
+    });
+
+    fastify.get('/styles.css', async (request, reply) => {
+        reply.type('text/css').send(fs.readFileSync(path.join(process.cwd(), 'public', 'styles.css')));
+    });
+
+    fastify.get('/app.js', async (request, reply) => {
+        reply.type('application/javascript').send(fs.readFileSync(path.join(process.cwd(), 'public', 'app.js')));
+    });
+
+    // Root Route - redirect to dashboard
+    fastify.get('/', async (request, reply) => {
+        reply.redirect('/index.html');
+    });
+
+    // Route to get all conversations (?qualification= filters by lead
+    // qualification status, ?needs_attention=true to the flagged ones)
+    fastify.get('/api/conversations', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const { tenant_id: tenantId } = request.user;
+            const { qualification, needs_attention: needsAttention } = request.query;
+            if (qualification !== undefined && !QUALIFICATION_STATUSES.includes(qualification)) {
+                reply.status(400).send({ error: `qualification must be one of: ${QUALIFICATION_STATUSES.join(', ')}` });
+                return;
+            }
+            if (needsAttention !== undefined && !['true', 'false'].includes(needsAttention)) {
+                reply.status(400).send({ error: 'needs_attention must be true or false' });
+                return;
+            }
+
+            reply.send(await store.listConversations({
+                tenantId: tenantId || undefined,
+                qualificationStatus: qualification,
+                needsAttention: needsAttention === undefined ? undefined : needsAttention === 'true'
+            }));
+        } catch (error) {
+            console.error('Error fetching conversations:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to get a specific conversation with messages
+    fastify.get('/api/conversations/:id', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const conversation = await findConversation(request, reply);
+            if (!conversation) {
+                return;
+            }
+            const messages = await store.getConversationMessages(conversation.id);
+
+            reply.send({
+                ...conversation,
+                opted_out: await optOuts.isOptedOut(conversation.phone_number, conversation.tenant_id ?? null),
+                appointments: await store.listAppointments({ conversationId: conversation.id }),
+                scheduled_messages: await followUps.listScheduled(conversation.id),
+                calls: await store.listCalls({ conversationId: conversation.id }),
+                messages
+            });
+        } catch (error) {
+            console.error('Error fetching conversation:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to send a message to a conversation: stored as an agent message
+    // and delivered to the customer by SMS
+    fastify.post('/api/conversations/:id/messages', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const { content } = request.body;
+
+            if (!content) {
+                reply.status(400).send({ error: 'Message content is required' });
+                return;
+            }
+
+            const conversation = await findConversation(request, reply);
+            if (!conversation) {
+                return;
+            }
+            const tenant = (await tenants.get(conversation.tenant_id ?? null)) || tenants.defaultTenant;
+
+            if (await optOuts.isOptedOut(conversation.phone_number, tenant.id)) {
+                reply.status(409).send({ error: 'Customer has opted out of SMS' });
+                return;
+            }
+
+            // A staff reply takes the conversation over from the AI
+            await modes.touchAgentActivity(conversation, request.user.id);
+
+            // Store agent message
+            let message = await sinks.record({
+                type: 'manual_message',
+                direction: 'outbound',
+                tenant,
+                conversation,
+                phoneNumber: conversation.phone_number,
+                sender: 'agent',
+                content,
+                sentBy: request.user.id
+            });
+
+            let deliveryError = null;
+            try {
+                message = await outbound.deliver(message, conversation.phone_number, { tenantId: tenant.id });
+            } catch (error) {
+                deliveryError = error;
+                message = error.storedMessage || { ...message, status: 'failed', error_message: error.message };
+            }
+
+            // Broadcast to connected clients
+            dashboard.broadcastMessage({
+                type: 'new_message',
+                conversation_id: conversation.id,
+                message: {
+                    ...message,
+                    sent_by_email: request.user.email
+                }
+            }, tenant.id);
+
+            if (deliveryError) {
+                reply.status(502).send({
+                    error: 'SMS delivery failed',
+                    message: message.error_message || deliveryError.message,
+                    code: message.error_code || null,
+                    stored: message
+                });
+                return;
+            }
+
+            reply.send({ success: true, message });
+        } catch (error) {
+            console.error('Error sending message:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to switch a conversation between AI, human and paused
+    fastify.put('/api/conversations/:id/mode', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const { mode } = request.body || {};
+            if (!MODES.includes(mode)) {
+                reply.status(400).send({ error: `Mode must be one of: ${MODES.join(', ')}` });
+                return;
+            }
+
+            const conversation = await findConversation(request, reply);
+            if (!conversation) {
+                return;
+            }
+            const updated = await modes.setMode(conversation, mode, request.user.id);
+
+            reply.send({ success: true, conversation: updated });
+        } catch (error) {
+            console.error('Error changing conversation mode:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to correct a conversation's lead details, e.g. to mark it unqualified
+    fastify.put('/api/conversations/:id/lead', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const conversation = await findConversation(request, reply);
+            if (!conversation) {
+                return;
+            }
+
+            const { conversation: updated, error } = await leadQualification.update(conversation, request.body || {});
+            if (error) {
+                reply.status(400).send({ error });
+                return;
+            }
+
+            reply.send({ success: true, conversation: updated });
+        } catch (error) {
+            console.error('Error updating lead details:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to flag a conversation for staff or clear the flag
+    // ({ "needs_attention": true, "reason": "..." } or { "needs_attention": false })
+    fastify.put('/api/conversations/:id/attention', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const conversation = await findConversation(request, reply);
+            if (!conversation) {
+                return;
+            }
+            const { needs_attention: needsAttention, reason } = request.body || {};
+            if (typeof needsAttention !== 'boolean') {
+                reply.status(400).send({ error: 'needs_attention must be true or false' });
+                return;
+            }
+
+            const tenant = await tenants.get(conversation.tenant_id ?? null);
+            const updated = needsAttention
+                ? await escalations.escalate(tenant, conversation, { trigger: 'staff', reason: reason || 'Flagged by staff', userId: request.user.id })
+                : await escalations.resolve(tenant, conversation, request.user.id);
+
+            reply.send({ success: true, conversation: updated });
+        } catch (error) {
+            console.error('Error updating attention flag:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // WebSocket route for dashboard updates
+    fastify.register(async (fastify) => {
+        // Browsers can't set headers on a WebSocket, so the session cookie
+        // (or a link token in ?token= for other clients) authenticates the upgrade
+        fastify.get('/ws', {
+            websocket: true,
+            preValidation: auth.requireRoleOrLinkToken('admin', 'agent')
+        }, (socket, req) => {
+            dashboard.addClient(socket, req);
+        });
+    });
+}
@@ -0,0 +1,83 @@
+import { canAccessTenant } from '../auth.js';
+import { LEAD_CHANNELS } from '../lead-jobs.js';
+
+// Lead outreach, called by the Make.com scenario with new leads. Callers send
+// LEADS_API_KEY in X-Api-Key, or are signed in as an admin.
+export function registerLeadRoutes(fastify, { config, auth, leadJobs, tenants }) {
+    const requireCaller = auth.requireRoleOrApiKey(config.leadJobs.apiKey, 'admin');
+
+    // Route to check and message (or call, with "channel": "call") new leads:
+    // queues a job and returns its id
+    fastify.post('/check-leads', { preHandler: requireCaller }, async (request, reply) => {
+        try {
+            if (!request.body) {
+                reply.status(400).send({ error: 'Request body is missing' });
+                return;
+            }
+
+            const { leads } = request.body;
+            if (!leads || !Array.isArray(leads)) {
+                reply.status(400).send({ error: 'Invalid leads data format' });
+                return;
+            }
+            if (leads.some(lead => typeof lead !== 'object' || lead === null || Array.isArray(lead))) {
+                reply.status(400).send({ error: 'Each lead must be an object with a phoneNumber' });
+                return;
+            }
+
+            const channel = request.body.channel ?? 'sms';
+            if (!LEAD_CHANNELS.includes(channel)) {
+                reply.status(400).send({ error: `channel must be one of: ${LEAD_CHANNELS.join(', ')}` });
+                return;
+            }
+
+            // Tenant admins send leads for their own tenant; other callers name
+            // the tenant, or get the default business
+            const tenant = await tenants.get(request.user.tenant_id || request.body.tenantId || null);
+            if (!tenant) {
+                reply.status(400).send({ error: 'Tenant not found' });
+                return;
+            }
+
+            const job = await leadJobs.submit(leads, tenant, channel);
+
+            reply.status(202).send({
+                success: true,
+                message: "Outreach job created",
+                jobId: job.id,
+                channel,
+                total: job.total,
+                statusUrl: `/check-leads/jobs/${job.id}`
+            });
+        } catch (error) {
+            console.error('Error:', error);
+            // Provide more detailed error information
+            const errorMessage = error.message || 'Unknown error';
+            const errorDetails = error.response?.data || {};
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: errorMessage,
+                details: errorDetails
+            });
+        }
+    });
+
+    // Route to check an outreach job's progress and per-lead results
+    fastify.get('/check-leads/jobs/:id', { preHandler: requireCaller }, async (request, reply) => {
+        try {
+            const job = await leadJobs.getJob(request.params.id);
+            if (!job || !canAccessTenant(request.user, job.tenant_id)) {
+                reply.status(404).send({ error: 'Job not found' });
+                return;
+            }
+
+            reply.send(job);
+        } catch (error) {
+            console.error('Error fetching lead job:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
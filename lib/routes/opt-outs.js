@@ -0,0 +1,71 @@
+import { toCsv } from '../opt-outs.js';
+import { parsePhoneNumber } from '../phone.js';
+
+// SMS suppression list: numbers that have opted out of messages. Tenant staff
+// see their own tenant's list.
+export function registerOptOutRoutes(fastify, { config, optOuts, auth, tenants }) {
+    const requireStaff = auth.requireRole('admin', 'agent');
+
+    function listFor(request) {
+        const { tenant_id: tenantId } = request.user;
+        return optOuts.list({ all: request.query.all === 'true', tenantId: tenantId || undefined });
+    }
+
+    // Route to list opted-out numbers (?all=true includes numbers that opted back in)
+    fastify.get('/api/opt-outs', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            reply.send(await listFor(request));
+        } catch (error) {
+            console.error('Error fetching opt-outs:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to download the suppression list as CSV
+    fastify.get('/api/opt-outs/export', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const rows = await listFor(request);
+            reply
+                .type('text/csv')
+                .header('Content-Disposition', `attachment; filename="opt-outs-${new Date().toISOString().slice(0, 10)}.csv"`)
+                .send(toCsv(rows));
+        } catch (error) {
+            console.error('Error exporting opt-outs:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to record an opt-out received some other way, e.g. over the phone.
+    // Only the customer can opt back in, by texting START.
+    fastify.post('/api/opt-outs', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const { phoneNumber, error } = parsePhoneNumber(request.body?.phoneNumber, config.defaultCountry);
+            if (error) {
+                reply.status(400).send({ error: 'Invalid phone number', message: error });
+                return;
+            }
+
+            // Staff without a tenant can name one; the default business otherwise
+            const tenant = await tenants.get(request.user.tenant_id || request.body.tenantId || null);
+            if (!tenant) {
+                reply.status(400).send({ error: 'Tenant not found' });
+                return;
+            }
+
+            const optOut = await optOuts.optOut(phoneNumber, { tenant, source: 'staff' });
+            reply.send({ success: true, optOut });
+        } catch (error) {
+            console.error('Error recording opt-out:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
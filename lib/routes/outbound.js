@@ -0,0 +1,41 @@
+import { canAccessTenant } from '../auth.js';
+
+// Outbound queue dead letters: SMS sends that failed permanently or ran out of
+// retries. Tenant staff only see their own tenant's.
+export function registerOutboundRoutes(fastify, { store, queue, auth }) {
+    // Route to list dead-lettered sends
+    fastify.get('/api/outbound/dead-letters', { preHandler: auth.requireRole('admin', 'agent') }, async (request, reply) => {
+        try {
+            const jobs = await queue.listDeadLetters();
+            reply.send(jobs.filter(job => canAccessTenant(request.user, job.tenant_id)));
+        } catch (error) {
+            console.error('Error fetching dead letters:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to put a dead-lettered send back on the queue
+    fastify.post('/api/outbound/dead-letters/:id/retry', { preHandler: auth.requireRole('admin') }, async (request, reply) => {
+        try {
+            const deadLetter = await store.getOutboundJob(request.params.id);
+            const job = deadLetter && canAccessTenant(request.user, deadLetter.tenant_id)
+                ? await queue.retryDeadLetter(deadLetter.id)
+                : null;
+            if (!job) {
+                reply.status(404).send({ error: 'Dead letter not found' });
+                return;
+            }
+
+            reply.send({ success: true, job });
+        } catch (error) {
+            console.error('Error retrying dead letter:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
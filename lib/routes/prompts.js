@@ -0,0 +1,167 @@
+// Prompt templates and their versions. Tenant staff manage their own tenant's
+// prompts; staff without a tenant pass ?tenantId= (or tenantId in the body)
+// for another business, the default business otherwise.
+export function registerPromptRoutes(fastify, { config, prompts, tenants, auth }) {
+    const requireStaff = auth.requireRole('admin', 'agent');
+    const requireAdmin = auth.requireRole('admin');
+
+    // Resolve the tenant and check the prompt key, sending the error response
+    // if either is wrong. Returns the tenant id, or undefined after an error.
+    async function promptScope(request, reply) {
+        const tenantId = request.user.tenant_id || request.query.tenantId || request.body?.tenantId || null;
+        if (!(await tenants.get(tenantId))) {
+            reply.status(400).send({ error: 'Tenant not found' });
+            return undefined;
+        }
+        if (request.params.key && !prompts.isKnownKey(request.params.key)) {
+            reply.status(404).send({ error: 'Prompt not found' });
+            return undefined;
+        }
+        return tenantId;
+    }
+
+    // Route to list every prompt with the version in use
+    fastify.get('/api/prompts', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            reply.send(await prompts.list(tenantId));
+        } catch (error) {
+            console.error('Error fetching prompts:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to get a prompt with all its versions
+    fastify.get('/api/prompts/:key', { preHandler: requireStaff }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            reply.send(await prompts.get(tenantId, request.params.key));
+        } catch (error) {
+            console.error('Error fetching prompt:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to save a new version of a prompt ({ template, description, activate })
+    fastify.post('/api/prompts/:key/versions', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            const { template, description, activate = true } = request.body || {};
+            const error = prompts.validate(request.params.key, template);
+            if (error) {
+                reply.status(400).send({ error: 'Invalid template', message: error });
+                return;
+            }
+
+            const promptVersion = await prompts.createVersion(tenantId, request.params.key, {
+                template,
+                description,
+                activate: activate !== false,
+                createdBy: request.user.id
+            });
+            reply.status(201).send(promptVersion);
+        } catch (error) {
+            console.error('Error saving prompt version:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to switch the version in use ({ version }, 0 for the built-in template)
+    fastify.put('/api/prompts/:key/active', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            const version = Number(request.body?.version);
+            if (!Number.isInteger(version) || version < 0) {
+                reply.status(400).send({ error: 'version must be a version number, or 0 for the built-in template' });
+                return;
+            }
+
+            const promptVersion = await prompts.activate(tenantId, request.params.key, version);
+            if (!promptVersion) {
+                reply.status(404).send({ error: 'Prompt version not found' });
+                return;
+            }
+
+            reply.send(promptVersion);
+        } catch (error) {
+            console.error('Error activating prompt version:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to go back to the built-in template. The saved versions are kept.
+    fastify.delete('/api/prompts/:key', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            reply.send(await prompts.activate(tenantId, request.params.key, 0));
+        } catch (error) {
+            console.error('Error resetting prompt:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to save an OpenAI Assistant's instructions as a new version
+    // ({ assistantId }, OPENAI_ASSISTANT_ID by default)
+    fastify.post('/api/prompts/:key/import-assistant', { preHandler: requireAdmin }, async (request, reply) => {
+        try {
+            const tenantId = await promptScope(request, reply);
+            if (tenantId === undefined) {
+                return;
+            }
+
+            const assistantId = request.body?.assistantId || config.openaiAssistantId;
+            if (!assistantId) {
+                reply.status(400).send({ error: 'No assistantId given and OPENAI_ASSISTANT_ID is not set' });
+                return;
+            }
+
+            const promptVersion = await prompts.importFromAssistant(tenantId, request.params.key, {
+                assistantId,
+                createdBy: request.user.id
+            });
+            reply.status(201).send(promptVersion);
+        } catch (error) {
+            // Most likely the assistant couldn't be fetched or its instructions don't fit the prompt
+            console.error('Error importing assistant instructions:', error);
+            reply.status(502).send({
+                error: 'Could not import the assistant instructions',
+                message: error.message
+            });
+        }
+    });
+}
@@ -0,0 +1,292 @@
+import { chatTools } from '../assistant-tools.js';
+import { buildChatHistory } from '../history.js';
+import { normalizePhoneNumber } from '../phone.js';
+import { helpReply, optInReply, optOutReply, parseKeyword } from '../opt-outs.js';
+
+// Constants for deduplication and rate limiting
+const MESSAGE_DEDUPE_WINDOW_MS = 60000; // 1 minute deduplication window
+
+// Inbound SMS and Twilio message status callbacks. The tenant is resolved
+// from our Twilio number before the signature check and everything else.
+export function registerSmsRoutes(fastify, { config, store, sinks, openai, outbound, dashboard, modes, optOuts, tenants, prompts, leadQualification, assistantTools, followUps, escalations, verifyTwilioRequest }) {
+    const processedMessages = new Map(); // Track processed message IDs and timestamps
+    const rateLimiter = new Map(); // tenant:phone -> last message timestamp
+
+    // Periodically clean up old message IDs from the deduplication map
+    const cleanupInterval = setInterval(() => {
+        const now = Date.now();
+        const threshold = now - MESSAGE_DEDUPE_WINDOW_MS;
+
+        for (const [messageId, timestamp] of processedMessages.entries()) {
+            if (timestamp < threshold) {
+                processedMessages.delete(messageId);
+            }
+        }
+
+        console.log(`Deduplication cleanup: ${processedMessages.size} messages being tracked`);
+    }, 30000); // Run every 30 seconds
+    fastify.addHook('onClose', async () => clearInterval(cleanupInterval));
+
+    // Send one of the standard compliance replies. They have to reach a number
+    // that has just opted out, so they bypass the suppression list.
+    async function sendComplianceReply(tenant, conversation, userPhone, content) {
+        if (!config.optOutReplies) {
+            return;
+        }
+
+        const message = await sinks.record({
+            type: 'compliance_reply',
+            direction: 'outbound',
+            tenant,
+            conversation,
+            phoneNumber: userPhone,
+            sender: 'assistant',
+            content
+        });
+        const delivered = await outbound.deliver(message, userPhone, { tenantId: tenant.id, bypassOptOut: true });
+
+        dashboard.broadcastMessage({
+            type: 'new_message',
+            conversation_id: conversation.id,
+            message: delivered
+        }, tenant.id);
+    }
+
+    // Tell the customer staff will pick up a message the AI won't answer
+    async function sendHoldingReply(tenant, conversation, userPhone) {
+        const message = await sinks.record({
+            type: 'escalation_reply',
+            direction: 'outbound',
+            tenant,
+            conversation,
+            phoneNumber: userPhone,
+            sender: 'assistant',
+            content: config.escalation.holdingReply
+        });
+        const delivered = await outbound.deliver(message, userPhone, { tenantId: tenant.id });
+
+        dashboard.broadcastMessage({
+            type: 'new_message',
+            conversation_id: conversation.id,
+            message: delivered
+        }, tenant.id);
+    }
+
+    // STOP/START/HELP and anything else from an opted-out number never reach
+    // the AI. Returns true when the message was handled here.
+    async function handleOptOutKeywords(tenant, conversation, userPhone, userMessage) {
+        const parsed = parseKeyword(userMessage);
+        const optedOut = await optOuts.isOptedOut(userPhone, tenant.id);
+
+        if (parsed?.action === 'stop') {
+            await optOuts.optOut(userPhone, { tenant, keyword: parsed.keyword });
+            await sendComplianceReply(tenant, conversation, userPhone, optOutReply(tenant.name));
+            return true;
+        }
+
+        // START/YES only mean something to a number that has opted out; a
+        // "yes" in a normal conversation goes to the AI
+        if (parsed?.action === 'start' && optedOut) {
+            await optOuts.optIn(userPhone, { tenant, keyword: parsed.keyword });
+            await sendComplianceReply(tenant, conversation, userPhone, optInReply(tenant.name));
+            return true;
+        }
+
+        if (parsed?.action === 'help') {
+            await sendComplianceReply(tenant, conversation, userPhone, helpReply(tenant.name));
+            return true;
+        }
+
+        if (optedOut) {
+            console.log(`${userPhone} has opted out, not replying`);
+            return true;
+        }
+
+        return false;
+    }
+
+    // Generate and send the AI reply to the latest inbound message
+    async function replyWithAI(tenant, conversation, userPhone) {
+        // Build the prompt from the stored conversation history
+        const storedMessages = await store.getConversationMessages(conversation.id);
+        const systemMessage = await prompts.render('sms', tenant, { customer_name: conversation.name });
+        const summaryMessage = await prompts.render('summary', tenant);
+        const messages = await buildChatHistory(conversation, storedMessages, {
+            systemMessage: systemMessage.content,
+            maxTurns: config.history.maxTurns,
+            tokenBudget: config.history.tokenBudget,
+            summarize: (summary, turns) => openai.summarizeTurns(summary, turns, summaryMessage.content),
+            saveSummary: (summary, lastMessageId) => store.updateConversation(conversation.id, { summary, summarized_message_id: lastMessageId })
+        });
+
+        // The AI can call the assistant tools (look up the customer, book,
+        // escalate...) while it answers
+        const aiResponse = await openai.completeWithTools(messages, chatTools(assistantTools.definitions('sms')), (name, args, callId) =>
+            assistantTools.run(name, args, { tenant, conversation, phoneNumber: userPhone, source: 'sms', callId }));
+
+        // Store AI message
+        const message = await sinks.record({
+            type: 'ai_response',
+            direction: 'outbound',
+            tenant,
+            conversation,
+            phoneNumber: userPhone,
+            sender: 'assistant',
+            content: aiResponse,
+            prompt: systemMessage.prompt
+        });
+
+        // Send SMS reply
+        await outbound.deliver(message, userPhone, { tenantId: tenant.id });
+
+        // Follow up if the customer doesn't answer
+        await followUps.startSequence(tenant, conversation);
+
+        // Broadcast message to connected clients
+        dashboard.broadcastMessage({
+            type: 'new_message',
+            conversation_id: conversation.id,
+            message: {
+                sender: 'assistant',
+                content: aiResponse,
+                created_at: new Date().toISOString()
+            }
+        }, tenant.id);
+    }
+
+    // Route to handle incoming SMS - WITH DEDUPLICATION AND RATE LIMITING
+    fastify.post('/sms', { preHandler: [tenants.resolveTenant('To'), verifyTwilioRequest] }, async (request, reply) => {
+        const { tenant } = request;
+        const { Body: userMessage, From: from, MessageSid } = request.body;
+        // Twilio sends E.164 already; anything else (e.g. a short code) is kept as is
+        const userPhone = normalizePhoneNumber(from, config.defaultCountry) || from;
+
+        // === RATE LIMITING ===
+        // Check for rate limiting
+        const rateKey = `${tenant.id ?? ''}:${userPhone}`;
+        const lastMessageTime = rateLimiter.get(rateKey) || 0;
+        if (Date.now() - lastMessageTime < 1000) { // 1 second between messages
+            console.log(`Rate limiting ${userPhone} - too many messages`);
+            return reply.send({ success: true, message: "Message rate limited" });
+        }
+        rateLimiter.set(rateKey, Date.now());
+
+        // === DEDUPLICATION LOGIC ===
+        // Check for duplicate messages
+        if (MessageSid && processedMessages.has(MessageSid)) {
+            console.log(`Duplicate message ${MessageSid} detected, ignoring`);
+            return reply.send({ success: true, message: "Duplicate message ignored" });
+        }
+
+        // Add message to processed set with timestamp
+        if (MessageSid) {
+            processedMessages.set(MessageSid, Date.now());
+        }
+
+        // Send an immediate acknowledgment response
+        reply.send({ success: true, message: "SMS received, processing" });
+
+        try {
+            console.log('Received SMS:', { Body: userMessage, From: userPhone, To: tenant.phone_number, MessageSid });
+
+            const conversation = await store.getOrCreateConversation(userPhone, '', tenant.id);
+
+            // Store user message
+            await sinks.record({
+                type: 'user_response',
+                direction: 'inbound',
+                tenant,
+                conversation,
+                phoneNumber: userPhone,
+                sender: 'user',
+                content: userMessage,
+                messageSid: MessageSid
+            });
+
+            // Broadcast message to connected clients
+            dashboard.broadcastMessage({
+                type: 'new_message',
+                conversation_id: conversation.id,
+                message: {
+                    sender: 'user',
+                    content: userMessage,
+                    created_at: new Date().toISOString(),
+                    MessageSid
+                }
+            }, tenant.id);
+
+            // Any reply ends the follow-ups to our last text
+            await followUps.stopSequence(conversation, 'Customer replied');
+
+            if (await handleOptOutKeywords(tenant, conversation, userPhone, userMessage)) {
+                return;
+            }
+
+            // Angry customers, callback requests, pricing questions and the
+            // like go to staff: the AI sends a holding reply instead of answering
+            const escalation = escalations.detect(userMessage);
+            const mode = await modes.currentMode(conversation);
+            if (escalation) {
+                await escalations.escalate(tenant, conversation, { ...escalation, excerpt: userMessage });
+                if (mode === 'ai') {
+                    await sendHoldingReply(tenant, conversation, userPhone);
+                }
+            } else if (mode === 'ai') {
+                await replyWithAI(tenant, conversation, userPhone);
+            } else {
+                // Staff have taken over or paused the AI: the message is stored
+                // and shown on the dashboard, but nobody replies automatically
+                console.log(`Conversation ${conversation.id} is in ${mode} mode, skipping AI reply`);
+            }
+
+            // Update the lead's details from the latest exchange
+            await leadQualification.extract(conversation, tenant);
+        } catch (error) {
+            console.error(`Error handling SMS ${MessageSid || 'unknown'}:`, error);
+            // Don't throw the error to prevent interrupting the flow
+        }
+    });
+
+    // Route to handle Twilio message status callbacks. `From` is our number.
+    fastify.post('/message-status', { preHandler: [tenants.resolveTenant('From'), verifyTwilioRequest] }, async (request, reply) => {
+        const { tenant } = request;
+        const { MessageSid, MessageStatus, To, From, ErrorCode, ErrorMessage } = request.body;
+
+        console.log(`Message ${MessageSid} to ${To} from ${From} has status: ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}`);
+
+        // Send an immediate acknowledgment response
+        reply.send({ success: true, message: "Status received" });
+
+        try {
+            // Update the stored message and show the new status on the dashboard
+            const message = await outbound.applyStatusCallback({ MessageSid, MessageStatus, ErrorCode, ErrorMessage });
+            if (message) {
+                dashboard.broadcastMessage({
+                    type: 'message_status',
+                    conversation_id: message.conversation_id,
+                    message_id: message.id,
+                    twilio_sid: MessageSid,
+                    status: message.status,
+                    error_code: message.error_code || null
+                }, tenant.id);
+            }
+        } catch (error) {
+            console.error('Error updating message status:', error);
+        }
+
+        try {
+            await sinks.record({
+                type: 'message_status',
+                direction: 'status_update',
+                tenant,
+                phoneNumber: To,
+                from: From,
+                messageSid: MessageSid,
+                status: MessageStatus,
+                errorCode: ErrorCode
+            });
+        } catch (error) {
+            console.error('Error recording message status:', error);
+        }
+    });
+}
@@ -0,0 +1,120 @@
+import { publicTenant } from '../tenants.js';
+
+// Businesses served by this server. Only admins without a tenant of their own
+// can manage them.
+export function registerTenantRoutes(fastify, { store, tenants, auth }) {
+    const requireAdmin = auth.requireRole('admin');
+
+    async function requireServerAdmin(request, reply) {
+        await requireAdmin(request, reply);
+        if (reply.sent) {
+            return reply;
+        }
+        if (request.user.tenant_id) {
+            return reply.status(403).send({ error: 'Forbidden', message: 'Tenant users cannot manage tenants' });
+        }
+    }
+
+    // Another tenant already using the number, if any
+    async function numberInUse(phoneNumber, id = null) {
+        const existing = await store.getTenantByPhoneNumber(phoneNumber);
+        return existing && existing.id !== id;
+    }
+
+    // Route to list tenants
+    fastify.get('/api/tenants', { preHandler: requireServerAdmin }, async (request, reply) => {
+        try {
+            const rows = await tenants.list();
+            reply.send(rows.map(publicTenant));
+        } catch (error) {
+            console.error('Error fetching tenants:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to add a business with its own Twilio number
+    fastify.post('/api/tenants', { preHandler: requireServerAdmin }, async (request, reply) => {
+        try {
+            const { fields, error } = tenants.validate(request.body);
+            if (error) {
+                reply.status(400).send({ error: 'Invalid tenant', message: error });
+                return;
+            }
+            if (await numberInUse(fields.phone_number)) {
+                reply.status(409).send({ error: 'A tenant with that phone number already exists' });
+                return;
+            }
+            const windowError = tenants.validateSendWindow(fields);
+            if (windowError) {
+                reply.status(400).send({ error: 'Invalid tenant', message: windowError });
+                return;
+            }
+
+            const tenant = await tenants.create(fields);
+            reply.status(201).send(publicTenant(tenant));
+        } catch (error) {
+            console.error('Error creating tenant:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to change a tenant's settings
+    fastify.put('/api/tenants/:id', { preHandler: requireServerAdmin }, async (request, reply) => {
+        try {
+            const existing = await store.getTenant(request.params.id);
+            if (!existing) {
+                reply.status(404).send({ error: 'Tenant not found' });
+                return;
+            }
+
+            const { fields, error } = tenants.validate(request.body, { partial: true });
+            if (error) {
+                reply.status(400).send({ error: 'Invalid tenant', message: error });
+                return;
+            }
+            if (fields.phone_number && await numberInUse(fields.phone_number, existing.id)) {
+                reply.status(409).send({ error: 'A tenant with that phone number already exists' });
+                return;
+            }
+            const windowError = tenants.validateSendWindow({ ...existing, ...fields });
+            if (windowError) {
+                reply.status(400).send({ error: 'Invalid tenant', message: windowError });
+                return;
+            }
+
+            const tenant = await tenants.update(existing.id, fields);
+            reply.send(publicTenant(tenant));
+        } catch (error) {
+            console.error('Error updating tenant:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+
+    // Route to archive a tenant and remove its users; its data and opt-outs are kept
+    fastify.delete('/api/tenants/:id', { preHandler: requireServerAdmin }, async (request, reply) => {
+        try {
+            if (!(await store.getTenant(request.params.id))) {
+                reply.status(404).send({ error: 'Tenant not found' });
+                return;
+            }
+
+            await tenants.remove(request.params.id);
+            reply.send({ success: true });
+        } catch (error) {
+            console.error('Error deleting tenant:', error);
+            reply.status(500).send({
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    });
+}
@@ -0,0 +1,636 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { realtimeTools } from '../assistant-tools.js';
+import { createCallRecording } from '../call-recording.js';
+import { normalizePhoneNumber } from '../phone.js';
+import { PROMPT_TEMPLATES, renderTemplate } from '../prompts.js';
+import { escapeXml, twiml } from '../twilio.js';
+
+// List of Event Types to log to the console
+const LOG_EVENT_TYPES = [
+    'response.content.done',
+    'rate_limits.updated',
+    'response.done',
+    'input_audio_buffer.committed',
+    'input_audio_buffer.speech_stopped',
+    'input_audio_buffer.speech_started',
+    'session.created',
+    'response.text.done',
+    'conversation.item.input_audio_transcription.completed'
+];
+
+// The part of an answer the caller heard before talking over it, judged by
+// how much of its audio had played. Null if they heard none of it.
+function heardPart(transcript, playedMs, audioMs) {
+    const words = transcript.trim().split(/\s+/);
+    const heard = words.slice(0, Math.round(words.length * Math.min(1, audioMs > 0 ? playedMs / audioMs : 0)));
+    if (heard.length === 0) {
+        return null;
+    }
+    return heard.length === words.length ? transcript.trim() : `${heard.join(' ')}... (interrupted)`;
+}
+
+// HMAC of a media stream's custom parameters, sorted by name
+function streamSignature(secret, parameters) {
+    const canonical = Object.keys(parameters).sort()
+        .map(name => `${name}=${parameters[name] ?? ''}`)
+        .join('&');
+    return crypto.createHmac('sha256', secret).update(canonical).digest('base64url');
+}
+
+// TwiML that greets the caller and connects the call to our media stream,
+// passing `parameters` on to it
+function streamTwiml(config, streamUrl, greeting, parameters) {
+    // Callers are told before anything is recorded
+    const announcement = config.recording.enabled && config.recording.announcement
+        ? `                              <Say>${escapeXml(config.recording.announcement)}</Say>\n`
+        : '';
+    const parameterTags = Object.entries(parameters)
+        .map(([name, value]) => `                                      <Parameter name="${name}" value="${escapeXml(value ?? '')}" />\n`)
+        .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+                          <Response>
+${announcement}                              <Say>${escapeXml(greeting)}</Say>
+                              <Connect>
+                                  <Stream url="${escapeXml(streamUrl)}">
+${parameterTags}                                  </Stream>
+                              </Connect>
+                          </Response>`;
+}
+
+// Voice calls: TwiML for incoming calls and calls to leads, and the Twilio <-> OpenAI Realtime bridge
+export function registerVoiceRoutes(fastify, { config, store, sinks, openai, dashboard, tenants, prompts, calls, callRouting, outboundCalls, assistantTools, verifyTwilioRequest }) {
+    // Calls in progress, by CallSid
+    const sessions = new Map();
+
+    // Signs the parameters our TwiML passes to /media-stream, so a client
+    // connecting to it can't choose the tenant, call or caller. The key comes
+    // from configured secrets, so any instance can accept a stream another
+    // one's TwiML started, across restarts too.
+    const streamSecret = crypto.createHmac('sha256', config.auth.linkTokenSecret || config.twilio.authToken || '')
+        .update('media-stream')
+        .digest('hex');
+
+    function signedStreamParameters(parameters) {
+        return { ...parameters, signature: streamSignature(streamSecret, parameters) };
+    }
+
+    function validStreamParameters({ signature, ...parameters }) {
+        const expected = Buffer.from(streamSignature(streamSecret, parameters));
+        const actual = Buffer.from(String(signature ?? ''));
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    // The public URL Twilio reaches us on, for the URLs in TwiML
+    function baseUrlFor(request) {
+        return (config.publicBaseUrl || `https://${request.headers.host}`).replace(/\/$/, '');
+    }
+
+    // The media stream's URL, on the same public host
+    function streamUrlFor(request) {
+        return `${baseUrlFor(request).replace(/^http/, 'ws')}/media-stream`;
+    }
+
+    // The tenant for a transfer or voicemail webhook: the number called, or
+    // the number we called from on calls to leads
+    const resolveCallTenant = (request) => tenants.resolveTenant(request.body?.Direction === 'outbound-api' ? 'From' : 'To')(request);
+
+    // Main function to extract customer details from a finished call and
+    // record them on the caller's conversation
+    async function processTranscriptAndSend(transcript, { tenant, call, conversation }) {
+        console.log(`Starting transcript processing for call ${call.call_sid}...`);
+        try {
+            // Make the ChatGPT completion call
+            const extraction = await prompts.render('extraction', tenant);
+            const result = await openai.makeChatGPTCompletion(transcript, extraction.content);
+
+            console.log('Raw result from ChatGPT:', JSON.stringify(result, null, 2));
+
+            if (result.choices && result.choices[0] && result.choices[0].message && result.choices[0].message.content) {
+                try {
+                    const parsedContent = JSON.parse(result.choices[0].message.content);
+                    console.log('Parsed content:', JSON.stringify(parsedContent, null, 2));
+
+                    if (parsedContent) {
+                        // Name the conversation after the caller if we didn't know them yet
+                        let current = await store.getConversation(conversation.id).catch(() => conversation);
+                        if (!current.name && parsedContent.customerName) {
+                            current = await store.updateConversation(current.id, { name: parsedContent.customerName });
+                        }
+
+                        // Store the extracted details as a message
+                        const message = await sinks.record({
+                            type: 'transcript_analysis',
+                            direction: 'outbound',
+                            tenant,
+                            conversation: current,
+                            phoneNumber: current.phone_number,
+                            sender: 'system',
+                            content: JSON.stringify(parsedContent),
+                            details: parsedContent,
+                            prompt: extraction.prompt,
+                            callId: call.id
+                        });
+
+                        // Broadcast the analysis to connected clients
+                        dashboard.broadcastMessage({
+                            type: 'new_message',
+                            conversation_id: current.id,
+                            message
+                        }, tenant.id);
+
+                        console.log('Extracted and stored customer details:', parsedContent);
+                    } else {
+                        console.error('Unexpected JSON structure in ChatGPT response');
+                    }
+                } catch (parseError) {
+                    console.error('Error parsing JSON from ChatGPT response:', parseError);
+                }
+            } else {
+                console.error('Unexpected response structure from ChatGPT API');
+            }
+
+        } catch (error) {
+            console.error('Error in processTranscriptAndSend:', error);
+        }
+    }
+
+    // Route for Twilio to handle incoming and outgoing calls
+    // The tenant, the call and the caller's number are passed on to the media
+    // stream as signed custom parameters, so the call lands on the caller's conversation.
+    // Outside opening hours the call may go straight to voicemail instead.
+    fastify.all('/incoming-call', { preHandler: [tenants.resolveTenant('To'), verifyTwilioRequest] }, async (request, reply) => {
+        const { tenant } = request;
+        console.log(`Incoming call for ${tenant.name}`);
+        if (callRouting.routeIncoming(tenant) === 'voicemail') {
+            console.log(`${tenant.name} is closed, taking a voicemail`);
+            return reply.type('text/xml').send(callRouting.voicemailTwiml(tenant, baseUrlFor(request)));
+        }
+        const greeting = await prompts.render('greeting', tenant);
+        const params = request.body || request.query || {};
+        const callerNumber = normalizePhoneNumber(params.From, config.defaultCountry) || '';
+
+        reply.type('text/xml').send(streamTwiml(config, streamUrlFor(request), greeting.content, signedStreamParameters({
+            tenantId: tenant.id,
+            callSid: params.CallSid,
+            from: callerNumber,
+            to: params.To
+        })));
+    });
+
+    // Route for Twilio to ask what to do when a lead picks up our call
+    // (lib/outbound-calls.js). The call is from the tenant's number, so the
+    // tenant is found by `From`.
+    fastify.post('/outbound-call', { preHandler: [tenants.resolveTenant('From'), verifyTwilioRequest] }, async (request, reply) => {
+        try {
+            const answer = await outboundCalls.answered(request.tenant, request.body);
+            if (answer.twiml) {
+                return reply.type('text/xml').send(answer.twiml);
+            }
+
+            reply.type('text/xml').send(streamTwiml(config, streamUrlFor(request), answer.greeting, signedStreamParameters({
+                tenantId: request.tenant.id,
+                callSid: answer.call.call_sid,
+                direction: 'outbound'
+            })));
+        } catch (error) {
+            console.error('Error answering outbound call:', error);
+            reply.type('text/xml').send(twiml('<Hangup/>'));
+        }
+    });
+
+    // Route for Twilio to report that a call to a lead is over
+    fastify.post('/outbound-call/status', { preHandler: [tenants.resolveTenant('From'), verifyTwilioRequest] }, async (request, reply) => {
+        // Send an immediate acknowledgment response
+        reply.send({ success: true, message: 'Status received' });
+
+        try {
+            await outboundCalls.statusChanged(request.tenant, request.body);
+        } catch (error) {
+            console.error('Error updating outbound call status:', error);
+        }
+    });
+
+    // Route for Twilio to report how a transfer to staff went (the <Dial> action)
+    fastify.post('/call-transfer', { preHandler: [resolveCallTenant, verifyTwilioRequest] }, async (request, reply) => {
+        try {
+            reply.type('text/xml').send(await callRouting.dialFinished(request.tenant, request.body, baseUrlFor(request)));
+        } catch (error) {
+            console.error('Error handling the transfer result:', error);
+            reply.type('text/xml').send(callRouting.voicemailTwiml(request.tenant, baseUrlFor(request)));
+        }
+    });
+
+    // Route for Twilio to hand over a recorded voicemail (the <Record> action)
+    fastify.post('/voicemail', { preHandler: [resolveCallTenant, verifyTwilioRequest] }, async (request, reply) => {
+        try {
+            reply.type('text/xml').send(await callRouting.voicemailLeft(request.tenant, request.body));
+        } catch (error) {
+            console.error('Error storing voicemail:', error);
+            reply.type('text/xml').send(twiml('<Hangup/>'));
+        }
+    });
+
+    // Route for Twilio to deliver a voicemail's transcription
+    fastify.post('/voicemail/transcription', { preHandler: [resolveCallTenant, verifyTwilioRequest] }, async (request, reply) => {
+        // Send an immediate acknowledgment response
+        reply.send({ success: true, message: 'Transcription received' });
+
+        try {
+            await callRouting.voicemailTranscribed(request.tenant, request.body);
+        } catch (error) {
+            console.error('Error storing voicemail transcription:', error);
+        }
+    });
+
+    // WebSocket route for media-stream
+    fastify.register(async (fastify) => {
+        fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+            console.log('Client connected');
+
+            // Filled in from the stream's start event. `ready` settles once the
+            // call is recorded; turns wait for it. `turns` are { sender, content,
+            // itemId, stored } in the order they were spoken.
+            const session = { turns: [], streamSid: null, callSid: null, tenant: null, instructions: null, callerNumber: null, call: null, conversation: null, ready: null, baseUrl: baseUrlFor(req) };
+            const recording = config.recording.enabled ? createCallRecording({ maxMinutes: config.recording.maxMinutes }) : null;
+
+            // Barge-in. The AI's audio reaches Twilio faster than it's played, so
+            // each chunk is followed by a mark Twilio echoes once it has played
+            // up to there. Marks still queued mean the caller is still hearing
+            // the answer; if they start talking, Twilio drops the rest (`clear`)
+            // and OpenAI is told how much was heard (conversation.item.truncate).
+            let latestMediaTimestamp = 0;
+            let lastAssistantItem = null;
+            let responseStartTimestamp = null;
+            let markQueue = [];
+            let markCount = 0;
+            // Assistant item id -> { audioMs generated, heardMs if the caller talked over it }
+            const assistantItems = new Map();
+
+            // Connected once the stream's start event is accepted; until then
+            // nothing reaches OpenAI
+            let openAiWs = null;
+
+            // The session is configured once OpenAI is connected and the
+            // tenant is known from the stream's start event
+            let openAiReady = false;
+            let sessionConfigured = false;
+
+            const sendSessionUpdate = () => {
+                if (!openAiReady || !session.instructions || sessionConfigured) {
+                    return;
+                }
+                sessionConfigured = true;
+
+                const sessionUpdate = {
+                    type: 'session.update',
+                    session: {
+                        turn_detection: { type: 'server_vad' },
+                        input_audio_format: 'g711_ulaw',
+                        output_audio_format: 'g711_ulaw',
+                        voice: session.tenant.voice,
+                        instructions: session.instructions.content,
+                        modalities: ["text", "audio"],
+                        temperature: 0.8,
+                        input_audio_transcription: {
+                            "model": "whisper-1"
+                        },
+                        tools: realtimeTools(assistantTools.definitions('voice')),
+                        tool_choice: 'auto'
+                    }
+                };
+
+                console.log('Sending session update:', JSON.stringify(sessionUpdate));
+                openAiWs.send(JSON.stringify(sessionUpdate));
+            };
+
+            // Load the tenant named in the stream's start event and render its
+            // instructions (`key` is the prompt: voice, or outbound_voice on calls to leads)
+            const loadInstructions = async (tenantId, key, variables = {}) => {
+                try {
+                    session.tenant = (await tenants.get(tenantId)) || tenants.defaultTenant;
+                    session.instructions = await prompts.render(key, session.tenant, variables);
+                } catch (error) {
+                    console.error('Error loading voice instructions:', error);
+                    session.tenant = session.tenant || tenants.defaultTenant;
+                    session.instructions = { content: renderTemplate(PROMPT_TEMPLATES[key].template, { business_name: session.tenant.name, ...variables }), prompt: { key, version: 0 } };
+                }
+                sendSessionUpdate();
+            };
+
+            // Set the call up for the tenant and open its call record. Calls
+            // to leads were recorded when they were placed; the lead is the caller.
+            const startCall = async ({ tenantId, to, direction }) => {
+                let placed = null;
+                try {
+                    placed = direction === 'outbound' ? await calls.find(session.callSid) : null;
+                } catch (error) {
+                    console.error(`Error loading call ${session.callSid}:`, error);
+                }
+                if (placed) {
+                    session.callerNumber = placed.call.to_number;
+                    await loadInstructions(tenantId || null, 'outbound_voice', { lead_name: placed.conversation?.name || '' });
+                } else {
+                    await loadInstructions(tenantId || null, 'voice');
+                }
+
+                try {
+                    const { call, conversation } = placed || await calls.start(session.tenant, { callSid: session.callSid, from: session.callerNumber, to });
+                    session.call = call;
+                    session.conversation = conversation;
+                } catch (error) {
+                    console.error(`Error recording call ${session.callSid}:`, error);
+                }
+            };
+
+            // Store a turn of the call as it's spoken
+            const recordTurn = (sender, content, itemId = null) => {
+                const turn = { sender, content, itemId, stored: null };
+                session.turns.push(turn);
+                turn.stored = (async () => {
+                    await session.ready;
+                    if (!session.call) {
+                        return null;
+                    }
+                    try {
+                        return await calls.recordTurn(session.tenant, session, sender, content, { prompt: sender === 'assistant' ? session.instructions?.prompt : null });
+                    } catch (error) {
+                        console.error(`Error storing a turn of call ${session.callSid}:`, error);
+                        return null;
+                    }
+                })();
+            };
+
+            // The caller talked over an answer: keep only what they heard of it
+            const correctTurn = async (turn, content) => {
+                turn.content = content;
+                const message = await turn.stored;
+                if (!message) {
+                    return;
+                }
+                try {
+                    await calls.correctTurn(session.tenant, session, message, content);
+                } catch (error) {
+                    console.error(`Error correcting a turn of call ${session.callSid}:`, error);
+                }
+            };
+
+            const transcriptText = () => session.turns.map(turn => `${turn.sender === 'user' ? 'User' : 'Agent'}: ${turn.content}`).join('\n');
+
+            // The caller started talking: stop the answer they're hearing where
+            // they are in it
+            const handleSpeechStarted = () => {
+                if (markQueue.length === 0 || !lastAssistantItem || responseStartTimestamp === null) {
+                    return;
+                }
+                const item = assistantItems.get(lastAssistantItem);
+                const playedMs = Math.max(0, Math.min(latestMediaTimestamp - responseStartTimestamp, item.audioMs));
+                console.log(`Caller interrupted ${lastAssistantItem} after ${playedMs}ms (${session.callSid})`);
+
+                if (openAiWs.readyState === WebSocket.OPEN) {
+                    openAiWs.send(JSON.stringify({
+                        type: 'conversation.item.truncate',
+                        item_id: lastAssistantItem,
+                        content_index: 0,
+                        audio_end_ms: playedMs
+                    }));
+                }
+                connection.send(JSON.stringify({ event: 'clear', streamSid: session.streamSid }));
+                recording?.clearOutbound();
+
+                // Already stored: correct it. Otherwise it's cut when response.done comes.
+                item.heardMs = playedMs;
+                const turn = session.turns.find(candidate => candidate.itemId === lastAssistantItem);
+                if (turn) {
+                    correctTurn(turn, heardPart(turn.content, playedMs, item.audioMs) || '(interrupted)');
+                }
+
+                markQueue = [];
+                lastAssistantItem = null;
+                responseStartTimestamp = null;
+            };
+
+            // Run the tools the model called and let it carry on talking
+            const runFunctionCalls = async (functionCalls) => {
+                await session.ready;
+                const conversation = session.conversation
+                    ? await store.getConversation(session.conversation.id).catch(() => session.conversation)
+                    : null;
+
+                for (const call of functionCalls) {
+                    const result = await assistantTools.run(call.name, call.arguments, {
+                        tenant: session.tenant,
+                        conversation,
+                        phoneNumber: session.callerNumber,
+                        source: 'voice',
+                        callId: call.call_id,
+                        callSid: session.callSid,
+                        baseUrl: session.baseUrl
+                    });
+
+                    if (openAiWs.readyState === WebSocket.OPEN) {
+                        openAiWs.send(JSON.stringify({
+                            type: 'conversation.item.create',
+                            item: { type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(result) }
+                        }));
+                    }
+                }
+
+                if (openAiWs.readyState === WebSocket.OPEN) {
+                    openAiWs.send(JSON.stringify({ type: 'response.create' }));
+                }
+            };
+
+            // Connect to OpenAI for an accepted stream
+            const connectOpenAi = () => {
+                openAiWs = new WebSocket('wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01', {
+                    headers: {
+                        Authorization: `Bearer ${config.openaiApiKey}`,
+                        "OpenAI-Beta": "realtime=v1"
+                    }
+                });
+
+                // Open event for OpenAI WebSocket
+                openAiWs.on('open', () => {
+                    console.log('Connected to the OpenAI Realtime API');
+                    setTimeout(() => {
+                        openAiReady = true;
+                        sendSessionUpdate();
+                    }, 250);
+                });
+
+                // Listen for messages from the OpenAI WebSocket
+                openAiWs.on('message', (data) => {
+                    try {
+                        const response = JSON.parse(data);
+
+                        if (LOG_EVENT_TYPES.includes(response.type)) {
+                            console.log(`Received event: ${response.type}`, response);
+                        }
+
+                        // User message transcription handling
+                        if (response.type === 'conversation.item.input_audio_transcription.completed') {
+                            const userMessage = response.transcript.trim();
+                            console.log(`User (${session.callSid}): ${userMessage}`);
+                            if (userMessage) {
+                                recordTurn('user', userMessage, response.item_id);
+                            }
+                        }
+
+                        // Agent message handling
+                        if (response.type === 'response.done') {
+                            const functionCalls = (response.response.output || []).filter(item => item.type === 'function_call');
+                            if (functionCalls.length > 0) {
+                                runFunctionCalls(functionCalls);
+                            } else {
+                                const item = response.response.output[0];
+                                let agentMessage = item?.content?.find(content => content.transcript)?.transcript;
+                                // Talked over before it finished: only what was heard
+                                const audio = item && assistantItems.get(item.id);
+                                if (agentMessage && audio?.heardMs !== undefined) {
+                                    agentMessage = heardPart(agentMessage, audio.heardMs, audio.audioMs) || '(interrupted)';
+                                }
+                                if (agentMessage) {
+                                    console.log(`Agent (${session.callSid}): ${agentMessage}`);
+                                    recordTurn('assistant', agentMessage, item.id);
+                                } else {
+                                    console.log(`Agent message not found (${session.callSid})`);
+                                }
+                            }
+                        }
+
+                        if (response.type === 'session.updated') {
+                            console.log('Session updated successfully:', response);
+                        }
+
+                        if (response.type === 'input_audio_buffer.speech_started') {
+                            handleSpeechStarted();
+                        }
+
+                        if (response.type === 'response.audio.delta' && response.delta) {
+                            recording?.addOutbound(response.delta);
+                            const audioDelta = {
+                                event: 'media',
+                                streamSid: session.streamSid,
+                                media: { payload: Buffer.from(response.delta, 'base64').toString('base64') }
+                            };
+                            connection.send(JSON.stringify(audioDelta));
+
+                            // A new answer starts playing when its first audio arrives
+                            if (response.item_id && response.item_id !== lastAssistantItem) {
+                                lastAssistantItem = response.item_id;
+                                responseStartTimestamp = latestMediaTimestamp;
+                            }
+                            if (response.item_id) {
+                                const item = assistantItems.get(response.item_id) || { audioMs: 0 };
+                                // 8 kHz μ-law: 8 bytes a millisecond
+                                item.audioMs += Buffer.byteLength(response.delta, 'base64') / 8;
+                                assistantItems.set(response.item_id, item);
+                            }
+
+                            const mark = `${response.item_id}:${++markCount}`;
+                            connection.send(JSON.stringify({ event: 'mark', streamSid: session.streamSid, mark: { name: mark } }));
+                            markQueue.push(mark);
+                        }
+                    } catch (error) {
+                        console.error('Error processing OpenAI message:', error, 'Raw message:', data);
+                    }
+                });
+
+                // Handle WebSocket close and errors
+                openAiWs.on('close', () => {
+                    console.log('Disconnected from the OpenAI Realtime API');
+                });
+
+                openAiWs.on('error', (error) => {
+                    console.error('Error in the OpenAI WebSocket:', error);
+                });
+            };
+
+            // Handle incoming messages from Twilio
+            connection.on('message', (message) => {
+                try {
+                    const data = JSON.parse(message);
+
+                    switch (data.event) {
+                        case 'media':
+                            // Audio before an accepted start is dropped
+                            if (!openAiWs) {
+                                break;
+                            }
+                            latestMediaTimestamp = Number(data.media.timestamp) || latestMediaTimestamp;
+                            recording?.addInbound(data.media.timestamp, data.media.payload);
+                            if (openAiWs?.readyState === WebSocket.OPEN) {
+                                const audioAppend = {
+                                    type: 'input_audio_buffer.append',
+                                    audio: data.media.payload
+                                };
+
+                                openAiWs.send(JSON.stringify(audioAppend));
+                            }
+                            break;
+                        case 'start':
+                            // Only streams our own TwiML started
+                            if (!validStreamParameters(data.start.customParameters || {})) {
+                                console.warn(`Rejected media stream ${data.start.streamSid} with unsigned parameters`);
+                                connection.close();
+                                break;
+                            }
+                            session.streamSid = data.start.streamSid;
+                            console.log('Incoming stream has started', session.streamSid);
+                            session.callSid = data.start.customParameters.callSid || data.start.callSid || session.streamSid;
+                            session.callerNumber = data.start.customParameters.from || null;
+                            sessions.set(session.callSid, session);
+                            session.ready = startCall(data.start.customParameters);
+                            connectOpenAi();
+                            break;
+                        case 'mark':
+                            // Played up to here (or dropped by a clear)
+                            markQueue = markQueue.filter(name => name !== data.mark?.name);
+                            break;
+                        default:
+                            console.log('Received non-media event:', data.event);
+                            break;
+                    }
+                } catch (error) {
+                    console.error('Error parsing message:', error, 'Message:', message);
+                }
+            });
+
+            // Handle connection close: save the recording, close the call record and analyse the transcript
+            connection.on('close', async () => {
+                if (openAiWs?.readyState === WebSocket.OPEN) openAiWs.close();
+                console.log(`Client disconnected (${session.callSid}).`);
+                const transcript = transcriptText();
+                console.log('Full Transcript:');
+                console.log(transcript);
+
+                await session.ready;
+                if (session.call) {
+                    if (recording) {
+                        try {
+                            session.call = await calls.saveRecording(session.call, recording);
+                        } catch (error) {
+                            console.error(`Error saving the recording of call ${session.callSid}:`, error);
+                        }
+                    }
+                    try {
+                        session.call = await calls.end(session.tenant, session.call);
+                    } catch (error) {
+                        console.error(`Error closing call ${session.callSid}:`, error);
+                    }
+                    // Stored turns may still be being corrected
+                    await Promise.all(session.turns.map(turn => turn.stored));
+                    if (transcript.trim()) {
+                        await processTranscriptAndSend(transcriptText(), session);
+                    }
+                }
+
+                // Clean up the session
+                sessions.delete(session.callSid);
+            });
+
+        });
+    });
+}
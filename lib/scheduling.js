@@ -0,0 +1,330 @@
+import { WEEKDAYS, localDate, parseClockTime, zonedTime } from './quiet-hours.js';
+
+// Appointment scheduling. A business is open during its opening hours (in its
+// time zone) and has bays and technicians; an appointment takes one bay and,
+// if the business has any technicians, one technician. A business with no
+// bays has a single implicit one. Slots are offered every
+// APPOINTMENT_SLOT_STEP_MINUTES inside the opening hours.
+export const RESOURCE_KINDS = ['bay', 'technician'];
+export const APPOINTMENT_STATUSES = ['booked', 'cancelled'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Opening hours like "mon-fri 08:00-17:00; sat 09:00-13:00". A day can have
+// several ranges ("mon-fri 08:00-12:00,13:00-17:00"). Returns ranges of
+// minutes per weekday (0 = Sunday); throws on anything it can't read.
+export function parseOpeningHours(text) {
+    const week = WEEKDAYS.map(() => []);
+    const entries = (text || '').split(';').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) {
+        throw new Error('Opening hours are empty');
+    }
+
+    for (const entry of entries) {
+        const [dayList, ...times] = entry.toLowerCase().split(/\s+/);
+        const ranges = times.join(',').split(',').filter(Boolean);
+        const days = dayList.split(',').flatMap(part => {
+            const [first, last = first] = part.split('-').map(day => WEEKDAYS.indexOf(day));
+            if (first === -1 || last === -1) {
+                throw new Error(`Invalid days "${part}" in opening hours, expected e.g. mon-fri or sat`);
+            }
+            const span = [];
+            for (let day = first; span.length < 7; day = (day + 1) % 7) {
+                span.push(day);
+                if (day === last) {
+                    break;
+                }
+            }
+            return span;
+        });
+
+        if (ranges.length === 0) {
+            throw new Error(`No times for "${dayList}" in opening hours, expected e.g. ${dayList} 08:00-17:00`);
+        }
+        for (const range of ranges) {
+            const [start, end] = range.split('-').map(parseClockTime);
+            if (!(start < end)) {
+                throw new Error(`Invalid opening hours range "${range}"`);
+            }
+            days.forEach(day => week[day].push({ start, end }));
+        }
+    }
+
+    return week.map(ranges => ranges.sort((a, b) => a.start - b.start));
+}
+
+// Day of the week of a 'YYYY-MM-DD' date
+function weekday(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+}
+
+function addDays(day, count) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM-DDTHH:MM' wall-clock time in the business's time zone, or any
+// ISO 8601 time with an offset. Returns a Date, or null if it can't be read.
+export function parseStartTime(value, timeZone) {
+    const local = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})$/.exec(value || '');
+    if (local) {
+        return zonedTime(local[1], Number(local[2]) * 60 + Number(local[3]), timeZone);
+    }
+    const date = /[zZ]|[+-]\d{2}:?\d{2}$/.test(value || '') ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+// How a time reads to the customer, e.g. "Tue, Oct 20, 9:00 AM"
+export function formatLocalTime(date, timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    }).format(date);
+}
+
+// 'YYYY-MM-DDTHH:MM' in the business's time zone, the form the AI books with
+function localDateTime(date, timeZone) {
+    const time = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+    return `${localDate(date, timeZone)}T${time}`;
+}
+
+function overlaps(appointment, start, end) {
+    return new Date(appointment.starts_at) < end && new Date(appointment.ends_at) > start;
+}
+
+export function createScheduling({ config, store, sinks, outbound, dashboard, followUps }) {
+    const hoursCache = new Map();
+    // Tenant id -> the booking in progress, so two bookings can't take the same bay
+    const bookingLocks = new Map();
+
+    function openingHoursFor(tenant) {
+        if (!hoursCache.has(tenant.opening_hours)) {
+            hoursCache.set(tenant.opening_hours, parseOpeningHours(tenant.opening_hours));
+        }
+        return hoursCache.get(tenant.opening_hours);
+    }
+
+    // Is [start, end) inside one opening hours range of its day?
+    function isWithinOpeningHours(tenant, start, end) {
+        const day = localDate(start, tenant.time_zone);
+        return openingHoursFor(tenant)[weekday(day)].some(range =>
+            zonedTime(day, range.start, tenant.time_zone) <= start && zonedTime(day, range.end, tenant.time_zone) >= end
+        );
+    }
+
+    // Is the business open at `at`?
+    function isOpen(tenant, at = new Date()) {
+        return isWithinOpeningHours(tenant, at, at);
+    }
+
+    async function resourcesFor(tenant) {
+        const resources = await store.listResources({ tenantId: tenant.id, active: true });
+        const bays = resources.filter(resource => resource.kind === 'bay');
+        const technicians = resources.filter(resource => resource.kind === 'technician');
+        return {
+            // null stands for the implicit bay, and for "no technician needed"
+            bays: bays.length > 0 ? bays : [null],
+            technicians: technicians.length > 0 ? technicians : [null]
+        };
+    }
+
+    // A bay and technician free for the whole of [start, end), or null
+    function assign(resources, appointments, start, end) {
+        const busy = appointments.filter(appointment => overlaps(appointment, start, end));
+        const sameBay = (appointment, bay) => (appointment.bay_id ?? null) === (bay?.id ?? null);
+        // Bookings made before the bays were set up, or on a retired bay, still take one
+        const unplaced = busy.filter(appointment => !resources.bays.some(bay => sameBay(appointment, bay))).length;
+        const bay = resources.bays.filter(candidate => !busy.some(appointment => sameBay(appointment, candidate)))[unplaced];
+        const technician = resources.technicians.find(candidate =>
+            candidate === null || !busy.some(appointment => appointment.technician_id === candidate.id)
+        );
+        return bay !== undefined && technician !== undefined ? { bay, technician } : null;
+    }
+
+    function earliestStart() {
+        return new Date(Date.now() + config.scheduling.leadMinutes * 60000);
+    }
+
+    // Nothing is booked more than BOOKING_HORIZON_DAYS ahead
+    function latestStart() {
+        return new Date(Date.now() + config.scheduling.horizonDays * MINUTES_PER_DAY * 60000);
+    }
+
+    function describeSlot(tenant, start, end, assignment) {
+        return {
+            starts_at: start.toISOString(),
+            ends_at: end.toISOString(),
+            local_time: localDateTime(start, tenant.time_zone),
+            label: formatLocalTime(start, tenant.time_zone),
+            bay: assignment.bay?.name || null,
+            technician: assignment.technician?.name || null
+        };
+    }
+
+    // Open slots from `date` ('YYYY-MM-DD' in the business's time zone, default
+    // today) for `days` days, at most `limit` of them and none past the booking horizon
+    async function findSlots(tenant, { date, days = 7, durationMinutes = config.scheduling.appointmentMinutes, limit = 20 } = {}) {
+        const timeZone = tenant.time_zone;
+        const hours = openingHoursFor(tenant);
+        const earliest = earliestStart();
+        const latest = latestStart();
+        const firstDay = date || localDate(earliest, timeZone);
+        const dayCount = Math.min(Math.max(days, 1), config.scheduling.horizonDays);
+        if (zonedTime(firstDay, 0, timeZone) > latest) {
+            return [];
+        }
+
+        const rangeStart = zonedTime(firstDay, 0, timeZone);
+        const rangeEnd = zonedTime(addDays(firstDay, dayCount), 0, timeZone);
+        const appointments = await store.listAppointments({ tenantId: tenant.id, status: 'booked', from: rangeStart, to: rangeEnd });
+        const resources = await resourcesFor(tenant);
+
+        const slots = [];
+        for (let offset = 0; offset < dayCount && slots.length < limit; offset++) {
+            const day = addDays(firstDay, offset);
+            for (const range of hours[weekday(day)]) {
+                for (let minutes = range.start; minutes + durationMinutes <= range.end; minutes += config.scheduling.slotStepMinutes) {
+                    const start = zonedTime(day, minutes, timeZone);
+                    if (start > latest) {
+                        return slots;
+                    }
+                    const end = new Date(start.getTime() + durationMinutes * 60000);
+                    const assignment = start >= earliest ? assign(resources, appointments, start, end) : null;
+                    if (assignment) {
+                        slots.push(describeSlot(tenant, start, end, assignment));
+                        if (slots.length >= limit) {
+                            return slots;
+                        }
+                    }
+                }
+            }
+        }
+        return slots;
+    }
+
+    // Run `task` after any booking in progress for the tenant
+    async function withBookingLock(tenant, task) {
+        const key = tenant.id ?? '';
+        const previous = bookingLocks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        bookingLocks.set(key, current);
+        try {
+            return await current;
+        } finally {
+            if (bookingLocks.get(key) === current) {
+                bookingLocks.delete(key);
+            }
+        }
+    }
+
+    // Tell the customer and the dashboard about a booking or cancellation.
+    // The confirmation is always stored on the conversation; it's texted to the
+    // customer unless they booked over SMS, where the AI's reply confirms it.
+    async function confirm(tenant, appointment, conversation, content, { text }) {
+        if (conversation) {
+            const message = await sinks.record({
+                type: 'appointment_confirmation',
+                direction: 'outbound',
+                tenant,
+                conversation,
+                phoneNumber: appointment.phone_number,
+                sender: text ? 'assistant' : 'system',
+                content
+            });
+
+            if (text && appointment.phone_number) {
+                try {
+                    await outbound.deliver(message, appointment.phone_number, { tenantId: tenant.id });
+                } catch (error) {
+                    console.error(`Error sending appointment confirmation to ${appointment.phone_number}:`, error.message);
+                }
+            }
+        }
+
+        dashboard.broadcastMessage({
+            type: appointment.status === 'cancelled' ? 'appointment_cancelled' : 'appointment_booked',
+            conversation_id: appointment.conversation_id,
+            appointment
+        }, tenant.id);
+    }
+
+    // Book an appointment at `startsAt` (a Date). Returns { appointment } or
+    // { error, alternatives } when the time can't be booked.
+    async function book(tenant, { startsAt, durationMinutes = config.scheduling.appointmentMinutes, conversation = null, phoneNumber = null, name = null, service = null, vehicle = null, notes = null, source = 'staff', bookedBy = null }) {
+        const end = new Date(startsAt.getTime() + durationMinutes * 60000);
+        const alternatives = async () => findSlots(tenant, { date: localDate(startsAt, tenant.time_zone), days: 3, durationMinutes, limit: 5 });
+
+        if (startsAt < earliestStart()) {
+            return { error: `Appointments need at least ${config.scheduling.leadMinutes} minutes' notice`, alternatives: await alternatives() };
+        }
+        if (startsAt > latestStart()) {
+            return { error: `Appointments can be booked up to ${config.scheduling.horizonDays} days ahead`, alternatives: [] };
+        }
+        if (!isWithinOpeningHours(tenant, startsAt, end)) {
+            return { error: 'That time is outside opening hours', alternatives: await alternatives() };
+        }
+
+        const appointment = await withBookingLock(tenant, async () => {
+            const appointments = await store.listAppointments({ tenantId: tenant.id, status: 'booked', from: startsAt, to: end });
+            const assignment = assign(await resourcesFor(tenant), appointments, startsAt, end);
+            if (!assignment) {
+                return null;
+            }
+
+            return store.createAppointment({
+                tenant_id: tenant.id,
+                conversation_id: conversation?.id || null,
+                phone_number: phoneNumber || conversation?.phone_number || null,
+                customer_name: name || conversation?.name || null,
+                vehicle: vehicle || conversation?.vehicle || null,
+                service: service || conversation?.service_requested || null,
+                starts_at: startsAt.toISOString(),
+                ends_at: end.toISOString(),
+                bay_id: assignment.bay?.id || null,
+                technician_id: assignment.technician?.id || null,
+                status: 'booked',
+                source,
+                notes,
+                booked_by: bookedBy
+            });
+        });
+
+        if (!appointment) {
+            return { error: 'That time is no longer available', alternatives: await alternatives() };
+        }
+
+        console.log(`Appointment ${appointment.id} booked for ${appointment.starts_at} (${source})`);
+        await followUps.scheduleReminders(tenant, appointment);
+        const when = formatLocalTime(startsAt, tenant.time_zone);
+        await confirm(tenant, appointment, conversation,
+            `Your appointment at ${tenant.name} is booked for ${when}${appointment.service ? ` (${appointment.service})` : ''}. Reply to this message if you need to change it.`,
+            { text: source !== 'sms' });
+        return { appointment };
+    }
+
+    async function cancel(tenant, appointment, { cancelledBy = null } = {}) {
+        const updated = await store.updateAppointment(appointment.id, {
+            status: 'cancelled',
+            cancelled_at: new Date().toISOString(),
+            cancelled_by: cancelledBy
+        }, 'booked');
+        if (!updated) {
+            return appointment;
+        }
+
+        console.log(`Appointment ${appointment.id} cancelled`);
+        await followUps.cancelReminders(updated, 'Appointment cancelled');
+        const conversation = appointment.conversation_id ? await store.getConversation(appointment.conversation_id) : null;
+        await confirm(tenant, updated, conversation,
+            `Your appointment at ${tenant.name} on ${formatLocalTime(new Date(appointment.starts_at), tenant.time_zone)} has been cancelled.`,
+            { text: true });
+        return updated;
+    }
+
+    return { isOpen, findSlots, book, cancel };
+}
@@ -0,0 +1,196 @@
+import Fastify from 'fastify';
+import fastifyFormBody from '@fastify/formbody';
+import fastifyWs from '@fastify/websocket';
+import { loadConfig, logConfigStatus } from './config.js';
+import { createOpenAIClient } from './openai.js';
+import { createTwilioClient, createTwilioWebhookGuard } from './twilio.js';
+import { createOutbound } from './outbound.js';
+import { createOutboundQueue } from './outbound-queue.js';
+import { createAssistantTools } from './assistant-tools.js';
+import { createAuth, redactToken } from './auth.js';
+import { createBlobStore } from './blobs/index.js';
+import { createCalls } from './calls.js';
+import { createCallRouting } from './call-routing.js';
+import { createOutboundCalls } from './outbound-calls.js';
+import { createDashboard } from './dashboard.js';
+import { createEscalations } from './escalations.js';
+import { createFollowUps } from './follow-ups.js';
+import { createLeadJobs } from './lead-jobs.js';
+import { createLeadQualification } from './lead-qualification.js';
+import { createModes } from './modes.js';
+import { createNotifiers } from './notifiers/index.js';
+import { createOptOuts } from './opt-outs.js';
+import { createPromptTemplates } from './prompt-templates.js';
+import { createScheduling } from './scheduling.js';
+import { createStore } from './store/index.js';
+import { createTenants } from './tenants.js';
+import { createSinks } from './sinks/index.js';
+import { registerAppointmentRoutes } from './routes/appointments.js';
+import { registerAuthRoutes } from './routes/auth.js';
+import { registerCallRoutes } from './routes/calls.js';
+import { registerDashboardRoutes } from './routes/dashboard.js';
+import { registerLeadRoutes } from './routes/leads.js';
+import { registerOptOutRoutes } from './routes/opt-outs.js';
+import { registerOutboundRoutes } from './routes/outbound.js';
+import { registerPromptRoutes } from './routes/prompts.js';
+import { registerSmsRoutes } from './routes/sms.js';
+import { registerTenantRoutes } from './routes/tenants.js';
+import { registerVoiceRoutes } from './routes/voice.js';
+
+// Build the Fastify app with every route wired to the configured store and sinks
+export function createServer(config) {
+    const store = createStore(config);
+    const sinks = createSinks(config, { store });
+    const openai = createOpenAIClient({ apiKey: config.openaiApiKey });
+    const statusCallbackUrl = config.publicBaseUrl ? `${config.publicBaseUrl.replace(/\/$/, '')}/message-status` : null;
+    const twilio = createTwilioClient({ ...config.twilio, statusCallbackUrl });
+    const tenants = createTenants({ config, store, twilio, statusCallbackUrl });
+    const prompts = createPromptTemplates({ config, store, openai });
+    const dashboard = createDashboard();
+    const optOuts = createOptOuts({ config, store, sinks, dashboard, tenants });
+    const queue = createOutboundQueue({ config, store, tenants, dashboard, optOuts });
+    const outbound = createOutbound({ config, store, queue });
+    const auth = createAuth({ config, store });
+    const modes = createModes({ config, store, dashboard });
+    const notifiers = createNotifiers(config, { tenants });
+    const escalations = createEscalations({ config, store, dashboard, modes, notifiers });
+    const followUps = createFollowUps({ config, store, sinks, openai, outbound, dashboard, optOuts, modes, tenants, prompts });
+    const scheduling = createScheduling({ config, store, sinks, outbound, dashboard, followUps });
+    const leadQualification = createLeadQualification({ config, store, openai, prompts, dashboard });
+    const blobs = createBlobStore(config);
+    const calls = createCalls({ store, sinks, dashboard, blobs });
+    const callRouting = createCallRouting({ config, store, tenants, scheduling, escalations, calls });
+    const assistantTools = createAssistantTools({ config, store, sinks, dashboard, scheduling, leadQualification, escalations, callRouting });
+    const outboundCalls = createOutboundCalls({ config, store, tenants, prompts, calls });
+    const leadJobs = createLeadJobs({ config, store, sinks, openai, outbound, dashboard, optOuts, tenants, prompts, followUps, outboundCalls });
+    const verifyTwilioRequest = createTwilioWebhookGuard(config);
+    const deps = { config, store, sinks, openai, twilio, tenants, prompts, queue, outbound, dashboard, auth, modes, optOuts, leadJobs, leadQualification, followUps, escalations, scheduling, assistantTools, blobs, calls, callRouting, outboundCalls, verifyTwilioRequest };
+
+    // Initialize Fastify
+    const fastify = Fastify({
+        logger: {
+            serializers: {
+                // Link tokens in ?token= stay out of the logs
+                req(request) {
+                    return {
+                        method: request.method,
+                        url: redactToken(request.url),
+                        host: request.host,
+                        remoteAddress: request.ip,
+                        remotePort: request.socket?.remotePort
+                    };
+                }
+            }
+        }
+    });
+    fastify.register(fastifyFormBody);
+    fastify.register(fastifyWs);
+
+    fastify.addContentTypeParser('application/json', { parseAs: 'string' }, function (req, body, done) {
+        // Keep the raw body for Twilio's bodySHA256 signature check
+        req.rawBody = body;
+        try {
+            const json = JSON.parse(body);
+            done(null, json);
+        } catch (err) {
+            done(err, undefined);
+        }
+    });
+
+    // Add CORS headers for origins in the CORS_ORIGINS allow-list
+    fastify.addHook('onRequest', (request, reply, done) => {
+        const origin = request.headers.origin;
+        if (origin && config.corsOrigins.includes(origin)) {
+            reply.header('Access-Control-Allow-Origin', origin);
+            reply.header('Access-Control-Allow-Credentials', 'true');
+            reply.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+            reply.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            reply.header('Vary', 'Origin');
+        }
+        done();
+    });
+
+    // CORS preflight
+    fastify.options('*', async (request, reply) => {
+        reply.status(204).send();
+    });
+
+    fastify.addHook('onClose', async () => {
+        queue.stop();
+        leadJobs.stop();
+        followUps.stop();
+    });
+
+    registerAppointmentRoutes(fastify, deps);
+    registerAuthRoutes(fastify, deps);
+    registerCallRoutes(fastify, deps);
+    registerDashboardRoutes(fastify, deps);
+    registerLeadRoutes(fastify, deps);
+    registerOptOutRoutes(fastify, deps);
+    registerOutboundRoutes(fastify, deps);
+    registerPromptRoutes(fastify, deps);
+    registerSmsRoutes(fastify, deps);
+    registerTenantRoutes(fastify, deps);
+    registerVoiceRoutes(fastify, deps);
+
+    return { fastify, ...deps };
+}
+
+// Start the server. `defaults` are the entry point's deployment defaults.
+export async function startServer(defaults = {}) {
+    const config = loadConfig(defaults);
+    logConfigStatus(config);
+
+    try {
+        const { fastify, store, auth, queue, leadJobs, followUps } = createServer(config);
+
+        console.log(`Attempting to start server on port ${config.port}`);
+
+        // Try to migrate the store, but don't block server startup if it fails
+        try {
+            await store.migrate();
+        } catch (migrationError) {
+            console.error(`Error migrating ${config.store} store, but continuing server startup:`, migrationError);
+        }
+
+        try {
+            await auth.ensureAdmin();
+        } catch (adminError) {
+            console.error('Error creating the admin user:', adminError);
+        }
+
+        await fastify.listen({
+            port: config.port,
+            host: '0.0.0.0' // Listen on all network interfaces, required for Cloud Run
+        });
+
+        console.log(`Server is successfully listening on port ${config.port}`);
+
+        // Retry queued SMS sends in the background
+        if (config.smsDelivery === 'twilio') {
+            queue.start();
+        }
+
+        // Finish lead outreach jobs a restart interrupted, and send deferred
+        // leads when their sending window opens
+        try {
+            await leadJobs.resumeUnfinished();
+        } catch (resumeError) {
+            console.error('Error resuming lead jobs:', resumeError);
+        }
+        leadJobs.start();
+
+        // Send follow-ups and appointment reminders as they come due
+        try {
+            await followUps.resumeUnfinished();
+        } catch (resumeError) {
+            console.error('Error resuming scheduled messages:', resumeError);
+        }
+        followUps.start();
+    } catch (err) {
+        console.error('Failed to start server:', err);
+        // Don't exit the process, as Cloud Run will restart the container
+        // which could lead to a restart loop
+        console.error('Server failed to start, but process will continue running');
+    }
+}
@@ -0,0 +1,37 @@
+import { createStoreSink } from './store.js';
+import { createWebhookSink } from './webhook.js';
+
+// Every sink implements record(event), persisting or forwarding it.
+//
+// Events are { type, direction, conversation, phoneNumber, sender, content, ... }
+// with type one of user_response, ai_response, initial_outreach,
+// manual_message, call_turn, voicemail, transcript_analysis, message_status,
+// appointment_confirmation, follow_up, appointment_reminder, tool_call,
+// escalation_reply.
+const SINK_FACTORIES = {
+    webhook: createWebhookSink
+};
+
+// Combine the store sink with the configured extra sinks. Every sink
+// receives every event; the store's result is returned.
+export function createSinks(config, { store }) {
+    const storeSink = createStoreSink(config, { store });
+    const sinks = config.sinks.map((name) => {
+        const factory = SINK_FACTORIES[name];
+        if (!factory) {
+            throw new Error(`Unknown sink "${name}", expected one of: ${Object.keys(SINK_FACTORIES).join(', ')}`);
+        }
+        return factory(config, { store });
+    });
+
+    // Returns the message as stored
+    async function record(event) {
+        const stored = await storeSink.record(event);
+        for (const sink of sinks) {
+            await sink.record(event);
+        }
+        return stored;
+    }
+
+    return { record };
+}
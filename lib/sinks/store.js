@@ -0,0 +1,37 @@
+// Store sink. Persists conversation messages to the configured ConversationStore;
+// it always runs first so the stored row can be returned to the caller.
+export function createStoreSink(config, { store }) {
+    async function record(event) {
+        // Status updates aren't conversation messages
+        if (!event.conversation || !event.sender || !event.content) {
+            return undefined;
+        }
+
+        const fields = {};
+        if (event.sentBy) {
+            fields.sent_by = event.sentBy;
+        }
+        // The prompt version that produced the message
+        if (event.prompt) {
+            fields.prompt_key = event.prompt.key;
+            fields.prompt_version = event.prompt.version;
+        }
+
+        // The call a spoken turn belongs to
+        if (event.callId) {
+            fields.call_id = event.callId;
+        }
+
+        // A tool the AI called, with its arguments and result
+        if (event.tool) {
+            fields.tool_name = event.tool.name;
+            fields.tool_call_id = event.tool.callId || null;
+            fields.tool_arguments = event.tool.arguments;
+            fields.tool_result = event.tool.result;
+        }
+
+        return store.storeMessage(event.conversation.id, event.sender, event.content, fields);
+    }
+
+    return { name: 'store', record };
+}
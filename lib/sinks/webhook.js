@@ -0,0 +1,159 @@
+import fetch from 'node-fetch';
+
+// Make.com webhook sink. Forwards every event to the tenant's webhook URL
+// (WEBHOOK_URL for the default business) in the payload shape the Make.com
+// scenarios expect.
+export function createWebhookSink(config) {
+    // Function to send data to Make.com webhook
+    async function sendToWebhook(webhookUrl, payload) {
+        if (!webhookUrl) {
+            console.warn('Webhook URL not configured, skipping webhook call');
+            return;
+        }
+
+        console.log('Sending data to webhook:', JSON.stringify(payload, null, 2));
+        try {
+            // Set a timeout for the webhook request
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                // Wrap payload in data object to match Make.com expectations
+                body: JSON.stringify({
+                    data: payload
+                }),
+                signal: controller.signal
+            });
+
+            clearTimeout(timeoutId);
+
+            const responseText = await response.text();
+            console.log('Webhook response:', responseText);
+
+            if (!response.ok) {
+                throw new Error(`Webhook error: ${response.status} ${response.statusText}\n${responseText}`);
+            }
+
+            return true;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.error('Webhook request timed out after 5 seconds');
+            } else {
+                console.error('Error sending data to webhook:', error);
+            }
+            throw error; // Rethrow the error to allow the calling function to handle it
+        }
+    }
+
+    // Map an event to the payload shape the Make.com scenarios expect
+    function toWebhookPayload(event) {
+        const timestamp = new Date().toISOString();
+
+        switch (event.type) {
+            case 'user_response':
+                return {
+                    userPhone: event.phoneNumber,
+                    Body: event.content,
+                    From: event.phoneNumber,
+                    MessageSid: event.messageSid,
+                    timestamp,
+                    direction: 'inbound',
+                    type: event.type
+                };
+            // Confirmations of bookings made over SMS aren't texted (the AI's
+            // reply confirms them), so they go without a Body to deliver
+            case 'appointment_confirmation':
+                if (event.sender === 'system') {
+                    break;
+                }
+                // falls through
+            // Every text we send has the AI reply's shape, so the Make.com
+            // scenario delivers it when SMS_DELIVERY=webhook
+            case 'ai_response':
+            case 'compliance_reply':
+            case 'escalation_reply':
+            case 'follow_up':
+            case 'appointment_reminder':
+            case 'manual_message':
+                return {
+                    userPhone: event.phoneNumber,
+                    aiResponse: event.content,
+                    Body: event.content,
+                    From: event.tenant?.phone_number || config.twilio.phoneNumber,
+                    To: event.phoneNumber,
+                    timestamp,
+                    direction: 'outbound',
+                    type: event.type
+                };
+            case 'initial_outreach':
+                return {
+                    userPhone: event.phoneNumber,
+                    userName: event.name,
+                    aiResponse: event.content,
+                    timestamp,
+                    type: event.type,
+                    direction: 'outbound'
+                };
+            case 'transcript_analysis':
+                return {
+                    ...event.details,
+                    direction: 'outbound',
+                    type: event.type
+                };
+            case 'message_status':
+                return {
+                    userPhone: event.phoneNumber,
+                    MessageSid: event.messageSid,
+                    MessageStatus: event.status,
+                    ErrorCode: event.errorCode,
+                    To: event.phoneNumber,
+                    From: event.from,
+                    timestamp,
+                    direction: 'status_update',
+                    type: event.type
+                };
+            case 'opt_out':
+                return {
+                    userPhone: event.phoneNumber,
+                    optedOut: event.optedOut,
+                    keyword: event.keyword,
+                    source: event.source,
+                    timestamp,
+                    direction: 'status_update',
+                    type: event.type
+                };
+            default:
+                break;
+        }
+
+        return {
+            userPhone: event.phoneNumber,
+            sender: event.sender,
+            content: event.content,
+            timestamp,
+            direction: event.direction,
+            type: event.type
+        };
+    }
+
+    async function record(event) {
+        // Call turns only feed the analysis, which is forwarded separately
+        if (event.type === 'call_turn') {
+            return;
+        }
+
+        try {
+            await sendToWebhook(event.tenant?.webhook_url || config.webhookUrl, toWebhookPayload(event));
+        } catch (webhookError) {
+            console.error('Webhook error (non-fatal):', webhookError.message);
+            // Continue processing - don't let webhook errors stop the flow
+        }
+    }
+
+    return { name: 'webhook', record };
+}
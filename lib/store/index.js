@@ -0,0 +1,564 @@
+import { createSupabaseBackend } from './supabase.js';
+import { createMemoryBackend } from './memory.js';
+import { MIGRATIONS } from './migrations.js';
+import { normalizePhoneNumber } from '../phone.js';
+
+// A backend implements generic table access:
+//   select(table, { where, orderBy, ascending, limit })  -> rows
+//   insert(table, row)                                    -> inserted row
+//   update(table, where, patch)                           -> updated rows
+//   remove(table, where)
+//   migrate(migrations)                                   -> bring the schema up to date
+// `where` maps columns to a value (equality), an array (IN) or null (IS NULL).
+const BACKENDS = {
+    supabase: createSupabaseBackend,
+    memory: createMemoryBackend
+};
+
+// ConversationStore: conversations and messages on top of the configured backend
+export function createStore(config) {
+    const factory = BACKENDS[config.store];
+    if (!factory) {
+        throw new Error(`Unknown store "${config.store}", expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+    const db = factory(config);
+
+    async function migrate() {
+        await db.migrate(MIGRATIONS);
+    }
+
+    // Numbers stored before they were normalized to E.164 lost a US country
+    // code ('+5127295813'); look those up too so nobody gets a second conversation
+    function phoneNumberVariants(phoneNumber) {
+        const normalized = normalizePhoneNumber(phoneNumber, config.defaultCountry);
+        if (!normalized) {
+            return { normalized: phoneNumber, variants: [phoneNumber] };
+        }
+
+        const variants = [normalized, phoneNumber, '+' + String(phoneNumber).replace(/\D/g, '')];
+        if (normalized.startsWith('+1')) {
+            variants.push('+' + normalized.slice(2));
+        }
+        return { normalized, variants: [...new Set(variants)] };
+    }
+
+    // Conversations are keyed by tenant and E.164 phone number. Non-phone keys
+    // (e.g. voice sessions) are used as they are. A null tenant is the default business.
+    async function getOrCreateConversation(phoneNumber, name = '', tenantId = null) {
+        try {
+            const { normalized, variants } = phoneNumberVariants(phoneNumber);
+
+            // Check if conversation exists
+            const [existingConversation] = await db.select('conversations', {
+                where: { phone_number: variants, tenant_id: tenantId },
+                orderBy: 'created_at',
+                ascending: false,
+                limit: 1
+            });
+
+            if (existingConversation) {
+                // Fix up a number stored in an old format
+                if (existingConversation.phone_number !== normalized) {
+                    return updateConversation(existingConversation.id, { phone_number: normalized });
+                }
+                return existingConversation;
+            }
+
+            // Create new conversation
+            return await db.insert('conversations', { phone_number: normalized, name: name || null, tenant_id: tenantId, qualification_status: 'new', needs_attention: false });
+        } catch (error) {
+            console.error('Error in getOrCreateConversation:', error);
+            throw error;
+        }
+    }
+
+    async function getConversation(id) {
+        const [conversation] = await db.select('conversations', { where: { id } });
+        if (!conversation) {
+            throw new Error(`Conversation ${id} not found`);
+        }
+        return conversation;
+    }
+
+    // Every tenant's conversations unless `tenantId` is given
+    async function listConversations({ tenantId, qualificationStatus, needsAttention } = {}) {
+        const where = {};
+        if (tenantId !== undefined) {
+            where.tenant_id = tenantId;
+        }
+        if (qualificationStatus !== undefined) {
+            where.qualification_status = qualificationStatus;
+        }
+        if (needsAttention !== undefined) {
+            where.needs_attention = needsAttention;
+        }
+        return db.select('conversations', {
+            where,
+            orderBy: 'updated_at',
+            ascending: false
+        });
+    }
+
+    async function updateConversation(id, patch) {
+        try {
+            const [conversation] = await db.update('conversations', { id }, {
+                ...patch,
+                updated_at: new Date().toISOString()
+            });
+            return conversation;
+        } catch (error) {
+            console.error('Error in updateConversation:', error);
+            throw error;
+        }
+    }
+
+    // `fields` holds optional message columns, e.g. sent_by for manual messages
+    async function storeMessage(conversationId, sender, content, fields = {}) {
+        try {
+            const message = await db.insert('messages', { conversation_id: conversationId, sender, content, ...fields });
+
+            // Update conversation's updated_at timestamp
+            await db.update('conversations', { id: conversationId }, { updated_at: new Date().toISOString() });
+
+            return message;
+        } catch (error) {
+            console.error('Error in storeMessage:', error);
+            throw error;
+        }
+    }
+
+    async function getConversationMessages(conversationId) {
+        try {
+            return await db.select('messages', {
+                where: { conversation_id: conversationId },
+                orderBy: 'created_at',
+                ascending: true
+            });
+        } catch (error) {
+            console.error('Error in getConversationMessages:', error);
+            throw error;
+        }
+    }
+
+    async function updateMessage(id, patch) {
+        try {
+            const [message] = await db.update('messages', { id }, patch);
+            return message;
+        } catch (error) {
+            console.error('Error in updateMessage:', error);
+            throw error;
+        }
+    }
+
+    async function getMessageByTwilioSid(twilioSid) {
+        const [message] = await db.select('messages', { where: { twilio_sid: twilioSid }, limit: 1 });
+        return message || null;
+    }
+
+    async function createOutboundJob(job) {
+        return db.insert('outbound_jobs', job);
+    }
+
+    async function getOutboundJob(id) {
+        const [job] = await db.select('outbound_jobs', { where: { id } });
+        return job || null;
+    }
+
+    async function getOutboundJobByKey(idempotencyKey) {
+        const [job] = await db.select('outbound_jobs', { where: { idempotency_key: idempotencyKey } });
+        return job || null;
+    }
+
+    async function listOutboundJobs({ status, orderBy = 'created_at', ascending = true, limit } = {}) {
+        return db.select('outbound_jobs', { where: status ? { status } : {}, orderBy, ascending, limit });
+    }
+
+    // With `expectedStatus` the update only applies if the job is still in that
+    // status, so two workers can't both claim it. Returns null if it wasn't.
+    async function updateOutboundJob(id, patch, expectedStatus) {
+        const where = expectedStatus ? { id, status: expectedStatus } : { id };
+        const [job] = await db.update('outbound_jobs', where, { ...patch, updated_at: new Date().toISOString() });
+        return job || null;
+    }
+
+    async function createLeadJob(job) {
+        return db.insert('lead_jobs', job);
+    }
+
+    async function getLeadJob(id) {
+        const [job] = await db.select('lead_jobs', { where: { id } });
+        return job || null;
+    }
+
+    async function listLeadJobs({ status } = {}) {
+        return db.select('lead_jobs', { where: status ? { status } : {}, orderBy: 'created_at', ascending: true });
+    }
+
+    async function updateLeadJob(id, patch) {
+        const [job] = await db.update('lead_jobs', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return job || null;
+    }
+
+    async function createLeadJobItem(item) {
+        return db.insert('lead_job_items', item);
+    }
+
+    async function listLeadJobItems(jobId) {
+        return db.select('lead_job_items', { where: { job_id: jobId }, orderBy: 'position', ascending: true });
+    }
+
+    async function listLeadJobItemsByOutcome(outcome) {
+        return db.select('lead_job_items', { where: { outcome }, orderBy: 'scheduled_for', ascending: true });
+    }
+
+    async function updateLeadJobItem(id, patch) {
+        const [item] = await db.update('lead_job_items', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return item || null;
+    }
+
+    async function getOptOut(tenantId, phoneNumber) {
+        const [optOut] = await db.select('opt_outs', { where: { tenant_id: tenantId, phone_number: phoneNumber } });
+        return optOut || null;
+    }
+
+    // One row per tenant and number, updated in place when it opts out or back in
+    async function saveOptOut(tenantId, phoneNumber, patch) {
+        const existing = await getOptOut(tenantId, phoneNumber);
+        if (existing) {
+            const [optOut] = await db.update('opt_outs', { id: existing.id }, { ...patch, updated_at: new Date().toISOString() });
+            return optOut;
+        }
+        return db.insert('opt_outs', { tenant_id: tenantId, phone_number: phoneNumber, ...patch });
+    }
+
+    // Every tenant's opt-outs unless `tenantId` is given
+    async function listOptOuts({ tenantId, optedOut } = {}) {
+        const where = optedOut === undefined ? {} : { opted_out: optedOut };
+        if (tenantId !== undefined) {
+            where.tenant_id = tenantId;
+        }
+        return db.select('opt_outs', { where, orderBy: 'updated_at', ascending: false });
+    }
+
+    async function createTenant(tenant) {
+        return db.insert('tenants', tenant);
+    }
+
+    // Archived tenants are kept for their history but are never looked up
+    async function getTenant(id) {
+        const [tenant] = await db.select('tenants', { where: { id, archived_at: null } });
+        return tenant || null;
+    }
+
+    async function getTenantByPhoneNumber(phoneNumber) {
+        const [tenant] = await db.select('tenants', { where: { phone_number: phoneNumber, archived_at: null } });
+        return tenant || null;
+    }
+
+    async function listTenants() {
+        return db.select('tenants', { where: { archived_at: null }, orderBy: 'created_at', ascending: true });
+    }
+
+    async function updateTenant(id, patch) {
+        const [tenant] = await db.update('tenants', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return tenant || null;
+    }
+
+    // Removing a tenant archives it: its users can no longer sign in and
+    // nothing more is sent for it, but its conversations, calls, appointments,
+    // lead jobs and opt-outs stay under its id and never pass to another business
+    async function deleteTenant(id) {
+        const now = new Date().toISOString();
+        const users = await db.select('users', { where: { tenant_id: id } });
+        if (users.length > 0) {
+            await db.remove('sessions', { user_id: users.map(user => user.id) });
+        }
+        await db.remove('users', { tenant_id: id });
+        await cancelScheduledMessages({ tenant_id: id }, 'Tenant removed');
+        await db.update('outbound_jobs', { tenant_id: id, status: 'pending' }, {
+            status: 'dead',
+            last_error: 'Tenant removed',
+            updated_at: now
+        });
+        await db.update('tenants', { id }, { archived_at: now, updated_at: now });
+    }
+
+    async function createPromptVersion(promptVersion) {
+        return db.insert('prompt_versions', promptVersion);
+    }
+
+    // Versions of one prompt for a tenant (null is the default business), newest first
+    async function listPromptVersions(tenantId, key) {
+        const where = { tenant_id: tenantId };
+        if (key !== undefined) {
+            where.key = key;
+        }
+        return db.select('prompt_versions', { where, orderBy: 'version', ascending: false });
+    }
+
+    async function getActivePromptVersion(tenantId, key) {
+        const [promptVersion] = await db.select('prompt_versions', { where: { tenant_id: tenantId, key, active: true } });
+        return promptVersion || null;
+    }
+
+    // Make `version` the one in use; 0 (or null) goes back to the built-in template
+    async function activatePromptVersion(tenantId, key, version) {
+        await db.update('prompt_versions', { tenant_id: tenantId, key, active: true }, { active: false });
+        if (!version) {
+            return null;
+        }
+        const [promptVersion] = await db.update('prompt_versions', { tenant_id: tenantId, key, version }, { active: true });
+        return promptVersion || null;
+    }
+
+    async function createResource(resource) {
+        return db.insert('resources', resource);
+    }
+
+    async function getResource(id) {
+        const [resource] = await db.select('resources', { where: { id } });
+        return resource || null;
+    }
+
+    async function listResources({ tenantId, active } = {}) {
+        const where = {};
+        if (tenantId !== undefined) {
+            where.tenant_id = tenantId;
+        }
+        if (active !== undefined) {
+            where.active = active;
+        }
+        return db.select('resources', { where, orderBy: 'name', ascending: true });
+    }
+
+    async function updateResource(id, patch) {
+        const [resource] = await db.update('resources', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return resource || null;
+    }
+
+    async function createAppointment(appointment) {
+        return db.insert('appointments', appointment);
+    }
+
+    async function getAppointment(id) {
+        const [appointment] = await db.select('appointments', { where: { id } });
+        return appointment || null;
+    }
+
+    // Appointments overlapping [from, to), soonest first
+    async function listAppointments({ tenantId, status, conversationId, from, to } = {}) {
+        const where = {};
+        if (tenantId !== undefined) {
+            where.tenant_id = tenantId;
+        }
+        if (status !== undefined) {
+            where.status = status;
+        }
+        if (conversationId !== undefined) {
+            where.conversation_id = conversationId;
+        }
+        const appointments = await db.select('appointments', { where, orderBy: 'starts_at', ascending: true });
+        return appointments.filter(appointment =>
+            (!from || new Date(appointment.ends_at) > new Date(from)) && (!to || new Date(appointment.starts_at) < new Date(to))
+        );
+    }
+
+    // With `expectedStatus` the update only applies if the appointment is
+    // still in that status. Returns null if it wasn't.
+    async function updateAppointment(id, patch, expectedStatus) {
+        const where = expectedStatus ? { id, status: expectedStatus } : { id };
+        const [appointment] = await db.update('appointments', where, { ...patch, updated_at: new Date().toISOString() });
+        return appointment || null;
+    }
+
+    async function createScheduledMessage(scheduledMessage) {
+        return db.insert('scheduled_messages', scheduledMessage);
+    }
+
+    async function listScheduledMessages({ conversationId, appointmentId, kind, status } = {}) {
+        const where = {};
+        if (conversationId !== undefined) {
+            where.conversation_id = conversationId;
+        }
+        if (appointmentId !== undefined) {
+            where.appointment_id = appointmentId;
+        }
+        if (kind !== undefined) {
+            where.kind = kind;
+        }
+        if (status !== undefined) {
+            where.status = status;
+        }
+        return db.select('scheduled_messages', { where, orderBy: 'run_at', ascending: true });
+    }
+
+    // Scheduled messages whose time has come, soonest first
+    async function listDueScheduledMessages(now = new Date()) {
+        const scheduled = await db.select('scheduled_messages', { where: { status: 'scheduled' }, orderBy: 'run_at', ascending: true });
+        return scheduled.filter(scheduledMessage => new Date(scheduledMessage.run_at) <= now);
+    }
+
+    // With `expectedStatus` the update only applies if the scheduled message is
+    // still in that status, so only one sender claims it. Returns null if it wasn't.
+    async function updateScheduledMessage(id, patch, expectedStatus) {
+        const where = expectedStatus ? { id, status: expectedStatus } : { id };
+        const [scheduledMessage] = await db.update('scheduled_messages', where, { ...patch, updated_at: new Date().toISOString() });
+        return scheduledMessage || null;
+    }
+
+    // Cancel the still-scheduled messages matching `where` (column -> value)
+    async function cancelScheduledMessages(where, reason) {
+        return db.update('scheduled_messages', { ...where, status: 'scheduled' }, {
+            status: 'cancelled',
+            reason,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    async function createCall(call) {
+        return db.insert('calls', call);
+    }
+
+    async function getCall(id) {
+        const [call] = await db.select('calls', { where: { id } });
+        return call || null;
+    }
+
+    async function getCallBySid(callSid) {
+        const [call] = await db.select('calls', { where: { call_sid: callSid }, limit: 1 });
+        return call || null;
+    }
+
+    // Newest first
+    async function listCalls({ tenantId, conversationId, status } = {}) {
+        const where = {};
+        if (tenantId !== undefined) {
+            where.tenant_id = tenantId;
+        }
+        if (conversationId !== undefined) {
+            where.conversation_id = conversationId;
+        }
+        if (status !== undefined) {
+            where.status = status;
+        }
+        return db.select('calls', { where, orderBy: 'started_at', ascending: false });
+    }
+
+    async function updateCall(id, patch) {
+        const [call] = await db.update('calls', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return call || null;
+    }
+
+    async function createUser({ email, name, role, passwordHash, tenantId = null }) {
+        return db.insert('users', {
+            email: email.toLowerCase(),
+            name: name || null,
+            role,
+            tenant_id: tenantId,
+            password_hash: passwordHash
+        });
+    }
+
+    async function getUser(id) {
+        const [user] = await db.select('users', { where: { id } });
+        return user || null;
+    }
+
+    async function getUserByEmail(email) {
+        const [user] = await db.select('users', { where: { email: email.toLowerCase() } });
+        return user || null;
+    }
+
+    async function listUsers() {
+        return db.select('users', { orderBy: 'created_at', ascending: true });
+    }
+
+    async function updateUser(id, patch) {
+        const [user] = await db.update('users', { id }, { ...patch, updated_at: new Date().toISOString() });
+        return user || null;
+    }
+
+    async function deleteUser(id) {
+        await db.remove('sessions', { user_id: id });
+        await db.remove('users', { id });
+    }
+
+    async function createSession(id, userId, expiresAt) {
+        return db.insert('sessions', { id, user_id: userId, expires_at: expiresAt });
+    }
+
+    async function getSession(id) {
+        const [session] = await db.select('sessions', { where: { id } });
+        return session || null;
+    }
+
+    async function deleteSession(id) {
+        await db.remove('sessions', { id });
+    }
+
+    return {
+        backend: db.name,
+        migrate,
+        getOrCreateConversation,
+        getConversation,
+        listConversations,
+        updateConversation,
+        storeMessage,
+        getConversationMessages,
+        updateMessage,
+        getMessageByTwilioSid,
+        createOutboundJob,
+        getOutboundJob,
+        getOutboundJobByKey,
+        listOutboundJobs,
+        updateOutboundJob,
+        createLeadJob,
+        getLeadJob,
+        listLeadJobs,
+        updateLeadJob,
+        createLeadJobItem,
+        listLeadJobItems,
+        listLeadJobItemsByOutcome,
+        updateLeadJobItem,
+        getOptOut,
+        saveOptOut,
+        listOptOuts,
+        createTenant,
+        getTenant,
+        getTenantByPhoneNumber,
+        listTenants,
+        updateTenant,
+        deleteTenant,
+        createPromptVersion,
+        listPromptVersions,
+        getActivePromptVersion,
+        activatePromptVersion,
+        createResource,
+        getResource,
+        listResources,
+        updateResource,
+        createAppointment,
+        getAppointment,
+        listAppointments,
+        updateAppointment,
+        createScheduledMessage,
+        listScheduledMessages,
+        listDueScheduledMessages,
+        updateScheduledMessage,
+        cancelScheduledMessages,
+        createCall,
+        getCall,
+        getCallBySid,
+        listCalls,
+        updateCall,
+        createUser,
+        getUser,
+        getUserByEmail,
+        listUsers,
+        updateUser,
+        deleteUser,
+        createSession,
+        getSession,
+        deleteSession
+    };
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// In-memory backend for offline development and tests. With STORE_FILE set,
+// the tables are loaded from and written back to that JSON file so data
+// survives a restart.
+export function createMemoryBackend(config) {
+    let tables = {};
+
+    function save() {
+        if (config.storeFile) {
+            fs.writeFileSync(config.storeFile, JSON.stringify(tables));
+        }
+    }
+
+    function getTable(table) {
+        if (!tables[table]) {
+            tables[table] = [];
+        }
+        return tables[table];
+    }
+
+    function matches(row, where = {}) {
+        return Object.entries(where).every(([column, value]) => {
+            if (Array.isArray(value)) {
+                return value.some(item => String(item) === String(row[column]));
+            }
+            if (value === null) {
+                return row[column] === null || row[column] === undefined;
+            }
+            return String(row[column]) === String(value);
+        });
+    }
+
+    // Rows are copied in and out so callers can't mutate stored state
+    const copy = (row) => JSON.parse(JSON.stringify(row));
+
+    async function select(table, { where, orderBy, ascending = true, limit } = {}) {
+        let rows = getTable(table).filter(row => matches(row, where));
+        if (orderBy) {
+            rows.sort((a, b) => {
+                const left = a[orderBy] ?? '';
+                const right = b[orderBy] ?? '';
+                const order = left < right ? -1 : left > right ? 1 : 0;
+                return ascending ? order : -order;
+            });
+        }
+        if (limit) {
+            rows = rows.slice(0, limit);
+        }
+        return rows.map(copy);
+    }
+
+    async function insert(table, row) {
+        const now = new Date().toISOString();
+        const stored = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...copy(row) };
+        getTable(table).push(stored);
+        save();
+        return copy(stored);
+    }
+
+    async function update(table, where, patch) {
+        const updated = [];
+        for (const row of getTable(table)) {
+            if (matches(row, where)) {
+                Object.assign(row, copy(patch));
+                updated.push(copy(row));
+            }
+        }
+        save();
+        return updated;
+    }
+
+    async function remove(table, where) {
+        tables[table] = getTable(table).filter(row => !matches(row, where));
+        save();
+    }
+
+    async function migrate(migrations) {
+        if (config.storeFile && fs.existsSync(config.storeFile)) {
+            tables = JSON.parse(fs.readFileSync(config.storeFile, 'utf8'));
+            console.log(`Loaded in-memory store from ${config.storeFile}`);
+        }
+        for (const migration of migrations) {
+            migration.tables.forEach(getTable);
+        }
+        save();
+    }
+
+    return { name: 'memory', select, insert, update, remove, migrate };
+}
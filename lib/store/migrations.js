@@ -0,0 +1,456 @@
+// Schema migrations, applied in order by the configured store backend.
+// `tables` lists the tables a migration creates, so backends that can't run
+// SQL (the in-memory store, Supabase without DATABASE_URL) know what to expect.
+export const MIGRATIONS = [
+    {
+        id: '001_conversations_and_messages',
+        tables: ['conversations', 'messages'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS conversations (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                phone_number TEXT NOT NULL,
+                name TEXT,
+                thread_id TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS conversations_phone_number_idx ON conversations (phone_number);
+
+            CREATE TABLE IF NOT EXISTS messages (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+                sender TEXT NOT NULL,
+                content TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS messages_conversation_id_idx ON messages (conversation_id, created_at);
+        `
+    },
+    {
+        id: '002_conversation_summary',
+        tables: [],
+        sql: `
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summarized_message_id TEXT;
+        `
+    },
+    {
+        id: '003_users_and_sessions',
+        tables: ['users', 'sessions'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS users (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                email TEXT NOT NULL UNIQUE,
+                name TEXT,
+                role TEXT NOT NULL DEFAULT 'agent',
+                password_hash TEXT NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                expires_at TIMESTAMPTZ NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS sent_by UUID REFERENCES users(id);
+        `
+    },
+    {
+        id: '004_message_delivery',
+        tables: [],
+        sql: `
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS twilio_sid TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS status TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS error_code TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS error_message TEXT;
+            CREATE INDEX IF NOT EXISTS messages_twilio_sid_idx ON messages (twilio_sid);
+        `
+    },
+    {
+        id: '005_conversation_mode',
+        tables: [],
+        sql: `
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'ai';
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS mode_changed_at TIMESTAMPTZ;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS mode_changed_by UUID REFERENCES users(id);
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_agent_activity_at TIMESTAMPTZ;
+        `
+    },
+    {
+        id: '006_outbound_jobs',
+        tables: ['outbound_jobs'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS outbound_jobs (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                idempotency_key TEXT NOT NULL UNIQUE,
+                message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+                to_number TEXT NOT NULL,
+                body TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL DEFAULT 5,
+                next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+                locked_at TIMESTAMPTZ,
+                twilio_sid TEXT,
+                last_error TEXT,
+                last_error_code TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS outbound_jobs_status_idx ON outbound_jobs (status, next_attempt_at);
+        `
+    },
+    {
+        id: '007_lead_jobs',
+        tables: ['lead_jobs', 'lead_job_items'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS lead_jobs (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                status TEXT NOT NULL DEFAULT 'queued',
+                total INTEGER NOT NULL DEFAULT 0,
+                started_at TIMESTAMPTZ,
+                finished_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            CREATE TABLE IF NOT EXISTS lead_job_items (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                job_id UUID REFERENCES lead_jobs(id) ON DELETE CASCADE,
+                position INTEGER NOT NULL,
+                name TEXT,
+                phone_number TEXT,
+                normalized_phone TEXT,
+                outcome TEXT NOT NULL DEFAULT 'pending',
+                reason TEXT,
+                conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+                message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+                processed_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS lead_job_items_job_id_idx ON lead_job_items (job_id, position);
+        `
+    },
+    {
+        id: '008_opt_outs',
+        tables: ['opt_outs'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS opt_outs (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                phone_number TEXT NOT NULL UNIQUE,
+                opted_out BOOLEAN NOT NULL DEFAULT TRUE,
+                keyword TEXT,
+                source TEXT,
+                opted_out_at TIMESTAMPTZ,
+                opted_in_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            -- Opt-out confirmations must still reach a number that just opted out
+            ALTER TABLE outbound_jobs ADD COLUMN IF NOT EXISTS bypass_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+        `
+    },
+    {
+        id: '009_lead_send_window',
+        tables: [],
+        sql: `
+            ALTER TABLE lead_job_items ADD COLUMN IF NOT EXISTS time_zone TEXT;
+            ALTER TABLE lead_job_items ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMPTZ;
+            CREATE INDEX IF NOT EXISTS lead_job_items_outcome_idx ON lead_job_items (outcome, scheduled_for);
+        `
+    },
+    {
+        id: '010_tenants',
+        tables: ['tenants'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS tenants (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                name TEXT NOT NULL,
+                phone_number TEXT NOT NULL UNIQUE,
+                twilio_account_sid TEXT,
+                twilio_auth_token TEXT,
+                webhook_url TEXT,
+                sms_prompt TEXT,
+                voice_prompt TEXT,
+                outreach_prompt TEXT,
+                voice TEXT,
+                greeting TEXT,
+                time_zone TEXT,
+                send_window_start TEXT,
+                send_window_end TEXT,
+                send_window_days TEXT,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+
+            -- NULL tenant_id is the default business configured by environment variables
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL;
+            ALTER TABLE lead_jobs ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL;
+            ALTER TABLE outbound_jobs ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL;
+            -- Users without a tenant see every business
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE;
+            CREATE INDEX IF NOT EXISTS conversations_tenant_phone_idx ON conversations (tenant_id, phone_number);
+
+            -- Opt-outs apply to the business the customer texted STOP to
+            ALTER TABLE opt_outs ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE;
+            ALTER TABLE opt_outs DROP CONSTRAINT IF EXISTS opt_outs_phone_number_key;
+            CREATE UNIQUE INDEX IF NOT EXISTS opt_outs_tenant_phone_idx ON opt_outs (COALESCE(tenant_id::text, ''), phone_number);
+        `
+    },
+    {
+        id: '011_prompt_versions',
+        tables: ['prompt_versions'],
+        sql: `
+            CREATE TABLE IF NOT EXISTS prompt_versions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+                key TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                template TEXT NOT NULL,
+                description TEXT,
+                -- 'manual', 'assistant' (pulled from an OpenAI Assistant) or 'tenant'
+                source TEXT NOT NULL DEFAULT 'manual',
+                assistant_id TEXT,
+                active BOOLEAN NOT NULL DEFAULT FALSE,
+                created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS prompt_versions_tenant_key_version_idx
+                ON prompt_versions (COALESCE(tenant_id::text, ''), key, version);
+
+            -- The prompt version that produced a message (version 0 is the built-in template)
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS prompt_key TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS business_hours TEXT;
+
+            -- Tenants' prompt overrides become the first version of their templates
+            DO $$
+            BEGIN
+                IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'tenants' AND column_name = 'sms_prompt') THEN
+                    INSERT INTO prompt_versions (tenant_id, key, version, template, source, active)
+                        SELECT id, 'sms', 1, sms_prompt, 'tenant', TRUE FROM tenants WHERE sms_prompt IS NOT NULL;
+                    INSERT INTO prompt_versions (tenant_id, key, version, template, source, active)
+                        SELECT id, 'voice', 1, voice_prompt, 'tenant', TRUE FROM tenants WHERE voice_prompt IS NOT NULL;
+                    INSERT INTO prompt_versions (tenant_id, key, version, template, source, active)
+                        SELECT id, 'outreach', 1, outreach_prompt || ' Create an initial outreach message for {{lead_name}}. Mention {{business_name}} and ask about their automotive needs.', 'tenant', TRUE
+                        FROM tenants WHERE outreach_prompt IS NOT NULL;
+                    INSERT INTO prompt_versions (tenant_id, key, version, template, source, active)
+                        SELECT id, 'greeting', 1, greeting, 'tenant', TRUE FROM tenants WHERE greeting IS NOT NULL;
+                END IF;
+            END $$;
+            ALTER TABLE tenants DROP COLUMN IF EXISTS sms_prompt;
+            ALTER TABLE tenants DROP COLUMN IF EXISTS voice_prompt;
+            ALTER TABLE tenants DROP COLUMN IF EXISTS outreach_prompt;
+            ALTER TABLE tenants DROP COLUMN IF EXISTS greeting;
+        `
+    },
+    {
+        id: '012_lead_qualification',
+        tables: [],
+        sql: `
+            -- Lead details extracted from the conversation; the customer's name is conversations.name
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS vehicle TEXT;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS service_requested TEXT;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS availability TEXT;
+            -- 'new', 'in_progress', 'qualified' or 'unqualified'
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS qualification_status TEXT NOT NULL DEFAULT 'new';
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS qualification_reason TEXT;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS lead_updated_at TIMESTAMPTZ;
+            -- Last message the details were extracted from
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS lead_extracted_message_id TEXT;
+            CREATE INDEX IF NOT EXISTS conversations_qualification_status_idx ON conversations (qualification_status);
+        `
+    },
+    {
+        id: '013_appointments',
+        tables: ['resources', 'appointments'],
+        sql: `
+            -- Bays and technicians; an appointment takes one of each
+            CREATE TABLE IF NOT EXISTS resources (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                kind TEXT NOT NULL DEFAULT 'bay',
+                active BOOLEAN NOT NULL DEFAULT TRUE,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS resources_tenant_idx ON resources (tenant_id, active);
+
+            CREATE TABLE IF NOT EXISTS appointments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL,
+                conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+                phone_number TEXT,
+                customer_name TEXT,
+                vehicle TEXT,
+                service TEXT,
+                starts_at TIMESTAMPTZ NOT NULL,
+                ends_at TIMESTAMPTZ NOT NULL,
+                bay_id UUID REFERENCES resources(id) ON DELETE SET NULL,
+                technician_id UUID REFERENCES resources(id) ON DELETE SET NULL,
+                -- 'booked' or 'cancelled'
+                status TEXT NOT NULL DEFAULT 'booked',
+                -- 'sms', 'voice' or 'staff'
+                source TEXT NOT NULL DEFAULT 'staff',
+                notes TEXT,
+                booked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                cancelled_at TIMESTAMPTZ,
+                cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS appointments_tenant_starts_at_idx ON appointments (tenant_id, starts_at);
+            CREATE INDEX IF NOT EXISTS appointments_conversation_idx ON appointments (conversation_id);
+
+            -- e.g. "mon-fri 08:00-17:00; sat 09:00-13:00"
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS opening_hours TEXT;
+        `
+    },
+    {
+        id: '014_scheduled_messages',
+        tables: ['scheduled_messages'],
+        sql: `
+            -- Follow-up texts to quiet leads and appointment reminders, sent by
+            -- the scheduler when run_at passes
+            CREATE TABLE IF NOT EXISTS scheduled_messages (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+                conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+                appointment_id UUID REFERENCES appointments(id) ON DELETE CASCADE,
+                -- 'follow_up' or 'appointment_reminder'
+                kind TEXT NOT NULL,
+                -- Position in the sequence, from 1
+                step INTEGER NOT NULL DEFAULT 1,
+                run_at TIMESTAMPTZ NOT NULL,
+                -- 'scheduled', 'sending', 'sent', 'cancelled' or 'failed'
+                status TEXT NOT NULL DEFAULT 'scheduled',
+                reason TEXT,
+                message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+                sent_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS scheduled_messages_status_run_at_idx ON scheduled_messages (status, run_at);
+            CREATE INDEX IF NOT EXISTS scheduled_messages_conversation_idx ON scheduled_messages (conversation_id);
+            CREATE INDEX IF NOT EXISTS scheduled_messages_appointment_idx ON scheduled_messages (appointment_id);
+
+            -- Hours after our last text to follow up (e.g. "24,72") and hours
+            -- before an appointment to remind the customer (e.g. "24,2")
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS follow_up_hours TEXT;
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS reminder_hours TEXT;
+        `
+    },
+    {
+        id: '015_tool_calls',
+        tables: [],
+        sql: `
+            -- Tools the AI called, stored as messages with sender 'tool'
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_name TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_call_id TEXT;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_arguments JSONB;
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS tool_result JSONB;
+        `
+    },
+    {
+        id: '016_escalations',
+        tables: [],
+        sql: `
+            -- Conversations flagged for staff, and why
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS needs_attention BOOLEAN NOT NULL DEFAULT FALSE;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS attention_reason TEXT;
+            -- 'keyword', 'sentiment', 'model' or 'staff'
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS attention_trigger TEXT;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS attention_at TIMESTAMPTZ;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS attention_resolved_at TIMESTAMPTZ;
+            ALTER TABLE conversations ADD COLUMN IF NOT EXISTS attention_resolved_by UUID REFERENCES users(id) ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS conversations_needs_attention_idx ON conversations (needs_attention) WHERE needs_attention;
+
+            -- Where alerts for the tenant go
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS on_call_phone TEXT;
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS on_call_email TEXT;
+        `
+    },
+    {
+        id: '017_calls',
+        tables: ['calls'],
+        sql: `
+            -- Voice calls, on the caller's conversation
+            CREATE TABLE IF NOT EXISTS calls (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                tenant_id UUID REFERENCES tenants(id) ON DELETE SET NULL,
+                conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+                call_sid TEXT UNIQUE,
+                -- 'inbound' or 'outbound'
+                direction TEXT NOT NULL DEFAULT 'inbound',
+                from_number TEXT,
+                to_number TEXT,
+                -- 'in_progress' or 'completed'
+                status TEXT NOT NULL DEFAULT 'in_progress',
+                started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                ended_at TIMESTAMPTZ,
+                duration_seconds INTEGER,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            );
+            CREATE INDEX IF NOT EXISTS calls_tenant_started_at_idx ON calls (tenant_id, started_at);
+            CREATE INDEX IF NOT EXISTS calls_conversation_idx ON calls (conversation_id);
+
+            -- The call a spoken turn (or a call's analysis) belongs to
+            ALTER TABLE messages ADD COLUMN IF NOT EXISTS call_id UUID REFERENCES calls(id) ON DELETE SET NULL;
+        `
+    },
+    {
+        id: '018_call_recordings',
+        tables: [],
+        sql: `
+            -- The call's recording in the blob store, when calls are recorded
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_key TEXT;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_bytes INTEGER;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS recording_seconds INTEGER;
+        `
+    },
+    {
+        id: '019_call_routing',
+        tables: [],
+        sql: `
+            -- How a call handed on from the AI ended: 'transferred' or 'voicemail'
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS outcome TEXT;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_to TEXT;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_reason TEXT;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS voicemail_url TEXT;
+            ALTER TABLE calls ADD COLUMN IF NOT EXISTS voicemail_seconds INTEGER;
+
+            -- Where the AI transfers calls, and whether calls outside opening
+            -- hours go to the AI ('ai') or straight to voicemail ('voicemail')
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS transfer_phone TEXT;
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS after_hours_calls TEXT;
+        `
+    },
+    {
+        id: '020_outbound_calls',
+        tables: [],
+        sql: `
+            -- 'sms' (text the leads) or 'call' (the AI phones them)
+            ALTER TABLE lead_jobs ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'sms';
+            ALTER TABLE lead_job_items ADD COLUMN IF NOT EXISTS call_id UUID REFERENCES calls(id) ON DELETE SET NULL;
+        `
+    },
+    {
+        id: '021_tenant_archive',
+        tables: [],
+        sql: `
+            -- Removed tenants are archived with their data, and their number
+            -- can be given to a new tenant
+            ALTER TABLE tenants ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+            ALTER TABLE tenants DROP CONSTRAINT IF EXISTS tenants_phone_number_key;
+            CREATE UNIQUE INDEX IF NOT EXISTS tenants_phone_number_active_idx ON tenants (phone_number) WHERE archived_at IS NULL;
+        `
+    }
+];
@@ -0,0 +1,123 @@
+import { createClient } from '@supabase/supabase-js';
+import postgres from 'postgres';
+
+// Supabase backend. Reads and writes go through the Supabase client; schema
+// migrations need a direct Postgres connection (DATABASE_URL), without one we
+// can only check the tables exist.
+export function createSupabaseBackend(config) {
+    // Initialize Supabase client
+    const supabase = createClient(config.supabase.url, config.supabase.apiKey);
+
+    function applyFilters(query, where = {}) {
+        for (const [column, value] of Object.entries(where)) {
+            if (Array.isArray(value)) {
+                query = query.in(column, value);
+            } else if (value === null) {
+                query = query.is(column, null);
+            } else {
+                query = query.eq(column, value);
+            }
+        }
+        return query;
+    }
+
+    async function select(table, { where, orderBy, ascending = true, limit } = {}) {
+        let query = applyFilters(supabase.from(table).select('*'), where);
+        if (orderBy) {
+            query = query.order(orderBy, { ascending });
+        }
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            throw error;
+        }
+        return data;
+    }
+
+    async function insert(table, row) {
+        const { data, error } = await supabase
+            .from(table)
+            .insert([row])
+            .select();
+
+        if (error) {
+            throw error;
+        }
+        return data[0];
+    }
+
+    async function update(table, where, patch) {
+        const { data, error } = await applyFilters(supabase.from(table).update(patch), where).select();
+
+        if (error) {
+            throw error;
+        }
+        return data;
+    }
+
+    async function remove(table, where) {
+        const { error } = await applyFilters(supabase.from(table).delete(), where);
+
+        if (error) {
+            throw error;
+        }
+    }
+
+    // Apply pending migrations over a direct Postgres connection
+    async function runMigrations(migrations) {
+        const sql = postgres(config.databaseUrl, { max: 1 });
+        try {
+            await sql`CREATE TABLE IF NOT EXISTS schema_migrations (
+                id TEXT PRIMARY KEY,
+                applied_at TIMESTAMPTZ DEFAULT NOW()
+            )`;
+            const applied = new Set((await sql`SELECT id FROM schema_migrations`).map(row => row.id));
+
+            for (const migration of migrations) {
+                if (applied.has(migration.id)) {
+                    continue;
+                }
+                await sql.begin(async (tx) => {
+                    await tx.unsafe(migration.sql);
+                    await tx`INSERT INTO schema_migrations (id) VALUES (${migration.id})`;
+                });
+                console.log(`Applied migration ${migration.id}`);
+            }
+        } finally {
+            await sql.end();
+        }
+    }
+
+    // Without DATABASE_URL, check the tables exist and say what's missing
+    async function checkTables(migrations) {
+        for (const migration of migrations) {
+            for (const table of migration.tables) {
+                const { error } = await supabase
+                    .from(table)
+                    .select('id')
+                    .limit(1);
+
+                if (error) {
+                    console.error(`Error checking ${table} table (see migration ${migration.id} in lib/store/migrations.js):`, error);
+                } else {
+                    console.log(`${table} table exists`);
+                }
+            }
+        }
+        console.warn('DATABASE_URL is not set, so Supabase migrations were not applied. Run the SQL in lib/store/migrations.js manually.');
+    }
+
+    async function migrate(migrations) {
+        if (config.databaseUrl) {
+            await runMigrations(migrations);
+        } else {
+            await checkTables(migrations);
+        }
+        console.log('Supabase tables check completed');
+    }
+
+    return { name: 'supabase', select, insert, update, remove, migrate };
+}
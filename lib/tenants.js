@@ -0,0 +1,233 @@
+import { createTwilioClient } from './twilio.js';
+import { parseHoursList } from './follow-ups.js';
+import { createSendWindow, isValidTimeZone } from './quiet-hours.js';
+import { parseOpeningHours } from './scheduling.js';
+import { normalizePhoneNumber } from './phone.js';
+import { AFTER_HOURS_CALL_ROUTES } from './call-routing.js';
+import { VOICE } from './prompts.js';
+
+// Tenants: the businesses this server answers for, each with its own Twilio
+// number. Webhooks are matched to a tenant by the number they were sent to.
+// The default business is configured by environment variables (BUSINESS_NAME,
+// TWILIO_*) and has no row: its conversations, jobs and users have a null
+// tenant_id, so a single-business deployment needs no tenants at all.
+
+// Columns that can be set through the tenants API. Unset ones fall back to
+// the server configuration. Prompts are managed separately (lib/prompt-templates.js).
+export const TENANT_FIELDS = [
+    'name',
+    'phone_number',
+    'twilio_account_sid',
+    'twilio_auth_token',
+    'webhook_url',
+    'business_hours',
+    'opening_hours',
+    'follow_up_hours',
+    'reminder_hours',
+    'on_call_phone',
+    'on_call_email',
+    'transfer_phone',
+    'after_hours_calls',
+    'voice',
+    'time_zone',
+    'send_window_start',
+    'send_window_end',
+    'send_window_days'
+];
+
+// Never send Twilio auth tokens to clients
+export function publicTenant(tenant) {
+    const { twilio_auth_token, ...rest } = tenant;
+    return { ...rest, has_twilio_auth_token: Boolean(twilio_auth_token) };
+}
+
+export function createTenants({ config, store, twilio, statusCallbackUrl }) {
+    const twilioClients = new Map();
+    const sendWindows = new Map();
+
+    // Fill in everything a tenant leaves unset from the server configuration
+    function withDefaults(row) {
+        const name = row.name || config.businessName;
+        return {
+            ...row,
+            name,
+            twilio_account_sid: row.twilio_account_sid || config.twilio.accountSid,
+            twilio_auth_token: row.twilio_auth_token || config.twilio.authToken,
+            webhook_url: row.webhook_url || config.webhookUrl,
+            opening_hours: row.opening_hours || config.scheduling.openingHours,
+            // Free text for prompts, the opening hours unless set
+            business_hours: row.business_hours || config.businessHours || row.opening_hours || config.scheduling.openingHours,
+            // An empty list turns follow-ups or reminders off for the tenant
+            follow_up_hours: row.follow_up_hours ?? config.followUps.hours,
+            reminder_hours: row.reminder_hours ?? config.followUps.reminderHours,
+            on_call_phone: row.on_call_phone || config.alerts.onCallPhone || null,
+            on_call_email: row.on_call_email || config.alerts.onCallEmail || null,
+            // Calls are transferred to the on-call phone unless set
+            transfer_phone: row.transfer_phone || config.callRouting.transferPhone || row.on_call_phone || config.alerts.onCallPhone || null,
+            after_hours_calls: row.after_hours_calls || config.callRouting.afterHours,
+            voice: row.voice || VOICE,
+            time_zone: row.time_zone || config.sendWindow.timeZone,
+            send_window_start: row.send_window_start || config.sendWindow.start,
+            send_window_end: row.send_window_end || config.sendWindow.end,
+            send_window_days: row.send_window_days || config.sendWindow.days.join(',')
+        };
+    }
+
+    const defaultTenant = withDefaults({ id: null, name: config.businessName, phone_number: config.twilio.phoneNumber });
+
+    // The tenant with this id (null is the default business), or null if there's none
+    async function get(id) {
+        if (id === null || id === undefined) {
+            return defaultTenant;
+        }
+        const row = await store.getTenant(id);
+        return row ? withDefaults(row) : null;
+    }
+
+    // The tenant owning a Twilio number. Numbers that aren't a tenant's belong
+    // to the default business.
+    async function findByNumber(phoneNumber) {
+        const normalized = normalizePhoneNumber(phoneNumber, config.defaultCountry);
+        const row = normalized ? await store.getTenantByPhoneNumber(normalized) : null;
+        if (row) {
+            return withDefaults(row);
+        }
+
+        if (phoneNumber && normalized !== normalizePhoneNumber(defaultTenant.phone_number, config.defaultCountry)) {
+            console.warn(`No tenant for ${phoneNumber}, using the default business`);
+        }
+        return defaultTenant;
+    }
+
+    // Fastify preHandler setting request.tenant from the Twilio number in
+    // `field` of the webhook parameters ('To' for inbound, 'From' for status callbacks)
+    function resolveTenant(field) {
+        return async function (request) {
+            request.tenant = await findByNumber(request.body?.[field] || request.query?.[field]);
+        };
+    }
+
+    // Twilio client sending from the tenant's number with its credentials
+    function twilioFor(tenant) {
+        if (tenant.id === null) {
+            return twilio;
+        }
+        if (!twilioClients.has(tenant.id)) {
+            twilioClients.set(tenant.id, createTwilioClient({
+                accountSid: tenant.twilio_account_sid,
+                authToken: tenant.twilio_auth_token,
+                phoneNumber: tenant.phone_number,
+                statusCallbackUrl
+            }));
+        }
+        return twilioClients.get(tenant.id);
+    }
+
+    function sendWindowFor(tenant) {
+        const key = `${tenant.send_window_start}-${tenant.send_window_end}-${tenant.send_window_days}`;
+        if (!sendWindows.has(key)) {
+            sendWindows.set(key, createSendWindow({
+                start: tenant.send_window_start,
+                end: tenant.send_window_end,
+                days: tenant.send_window_days.split(',').map(day => day.trim().toLowerCase())
+            }));
+        }
+        return sendWindows.get(key);
+    }
+
+    // Check and normalize tenant fields from the API. Returns { fields } or { error }.
+    function validate(input, { partial = false } = {}) {
+        const fields = Object.fromEntries(Object.entries(input || {}).filter(([key]) => TENANT_FIELDS.includes(key)));
+
+        if (!partial && (!fields.name || !fields.phone_number)) {
+            return { error: 'name and phone_number are required' };
+        }
+        if (fields.phone_number !== undefined) {
+            const normalized = normalizePhoneNumber(fields.phone_number, config.defaultCountry);
+            if (!normalized) {
+                return { error: `Invalid phone number ${fields.phone_number}` };
+            }
+            fields.phone_number = normalized;
+        }
+        if (fields.on_call_phone) {
+            const normalized = normalizePhoneNumber(fields.on_call_phone, config.defaultCountry);
+            if (!normalized) {
+                return { error: `Invalid on-call phone number ${fields.on_call_phone}` };
+            }
+            fields.on_call_phone = normalized;
+        }
+        if (fields.transfer_phone) {
+            const normalized = normalizePhoneNumber(fields.transfer_phone, config.defaultCountry);
+            if (!normalized) {
+                return { error: `Invalid transfer phone number ${fields.transfer_phone}` };
+            }
+            fields.transfer_phone = normalized;
+        }
+        if (fields.after_hours_calls && !AFTER_HOURS_CALL_ROUTES.includes(fields.after_hours_calls)) {
+            return { error: `after_hours_calls must be one of: ${AFTER_HOURS_CALL_ROUTES.join(', ')}` };
+        }
+        if (fields.time_zone && !isValidTimeZone(fields.time_zone)) {
+            return { error: `Unknown time zone ${fields.time_zone}` };
+        }
+        if (fields.opening_hours) {
+            try {
+                parseOpeningHours(fields.opening_hours);
+            } catch (error) {
+                return { error: error.message };
+            }
+        }
+        for (const field of ['follow_up_hours', 'reminder_hours']) {
+            if (fields[field]) {
+                try {
+                    parseHoursList(fields[field]);
+                } catch (error) {
+                    return { error: `${field}: ${error.message}` };
+                }
+            }
+        }
+        return { fields };
+    }
+
+    // Check the sending window the tenant will end up with
+    function validateSendWindow(tenant) {
+        try {
+            sendWindowFor(withDefaults(tenant));
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    async function list() {
+        return store.listTenants();
+    }
+
+    async function create(fields) {
+        return store.createTenant(fields);
+    }
+
+    async function update(id, fields) {
+        twilioClients.delete(id);
+        return store.updateTenant(id, fields);
+    }
+
+    async function remove(id) {
+        twilioClients.delete(id);
+        await store.deleteTenant(id);
+    }
+
+    return {
+        defaultTenant,
+        get,
+        findByNumber,
+        resolveTenant,
+        twilioFor,
+        sendWindowFor,
+        validate,
+        validateSendWindow,
+        list,
+        create,
+        update,
+        remove
+    };
+}
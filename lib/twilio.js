@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+// `statusCallbackUrl` is where Twilio posts delivery status updates for
+// every message we send (our /message-status route)
+export function createTwilioClient({ accountSid, authToken, phoneNumber, statusCallbackUrl }) {
+    const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+    // Send an SMS through the Twilio Messages API
+    async function sendSms(to, body) {
+        const params = new URLSearchParams({
+            'To': to,
+            'From': phoneNumber,
+            'Body': body
+        });
+        if (statusCallbackUrl) {
+            params.set('StatusCallback', statusCallbackUrl);
+        }
+
+        const twilioResponse = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+            method: 'POST',
+            headers: {
+                'Authorization': authorization,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+
+        if (!twilioResponse.ok) {
+            const twilioError = await twilioResponse.json();
+            const error = new Error(`Failed to send SMS: ${JSON.stringify(twilioError)}`);
+            error.status = twilioResponse.status;
+            error.code = twilioError.code;
+            error.twilioMessage = twilioError.message;
+            throw error;
+        }
+
+        return twilioResponse.json();
+    }
+
+    // Take a live call over with new TwiML, e.g. to transfer it
+    async function updateCall(callSid, twiml) {
+        const twilioResponse = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls/${callSid}.json`, {
+            method: 'POST',
+            headers: {
+                'Authorization': authorization,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({ 'Twiml': twiml })
+        });
+
+        if (!twilioResponse.ok) {
+            const twilioError = await twilioResponse.json();
+            const error = new Error(`Failed to update call: ${JSON.stringify(twilioError)}`);
+            error.status = twilioResponse.status;
+            error.code = twilioError.code;
+            error.twilioMessage = twilioError.message;
+            throw error;
+        }
+
+        return twilioResponse.json();
+    }
+
+    // Place a call from our number. Twilio fetches the call's TwiML from `url`
+    // once it's answered and posts to `statusCallback` when it's over.
+    // `machineDetection` ('DetectMessageEnd') has Twilio say who answered
+    // (AnsweredBy) and wait for a machine's beep before fetching the TwiML.
+    async function createCall(to, { url, statusCallback, machineDetection, timeoutSeconds }) {
+        const params = new URLSearchParams({
+            'To': to,
+            'From': phoneNumber,
+            'Url': url
+        });
+        if (statusCallback) {
+            params.set('StatusCallback', statusCallback);
+        }
+        if (machineDetection) {
+            params.set('MachineDetection', machineDetection);
+        }
+        if (timeoutSeconds) {
+            params.set('Timeout', String(timeoutSeconds));
+        }
+
+        const twilioResponse = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Calls.json`, {
+            method: 'POST',
+            headers: {
+                'Authorization': authorization,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params
+        });
+
+        if (!twilioResponse.ok) {
+            const twilioError = await twilioResponse.json();
+            const error = new Error(`Failed to place call: ${JSON.stringify(twilioError)}`);
+            error.status = twilioResponse.status;
+            error.code = twilioError.code;
+            error.twilioMessage = twilioError.message;
+            throw error;
+        }
+
+        return twilioResponse.json();
+    }
+
+    return { phoneNumber, sendSms, updateCall, createCall };
+}
+
+// Text for a TwiML document
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// A TwiML document with `body` (one or more verbs) as the response
+export function twiml(body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    ${body}
+</Response>`;
+}
+
+// X-Twilio-Signature check: HMAC-SHA1 (auth token as key) over the full
+// request URL followed by the sorted POST parameters, base64 encoded.
+// https://www.twilio.com/docs/usage/webhooks/webhooks-security
+export function validateTwilioSignature(authToken, signature, url, params = {}) {
+    const data = Object.keys(params)
+        .sort()
+        .reduce((acc, key) => acc + key + params[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+
+    return safeEqual(expected, signature);
+}
+
+// JSON bodies aren't part of the signed data; Twilio instead signs a URL with
+// a bodySHA256 query parameter holding the hex SHA-256 of the raw body.
+export function validateTwilioJsonBody(authToken, signature, url, rawBody) {
+    const bodySha256 = new URL(url).searchParams.get('bodySHA256');
+    if (!bodySha256) {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+    return safeEqual(expected, bodySha256) && validateTwilioSignature(authToken, signature, url);
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a || '');
+    const right = Buffer.from(b || '');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Fastify preHandler rejecting webhook requests that weren't signed by Twilio.
+// The signed URL is the public one Twilio called, so behind a proxy set
+// PUBLIC_BASE_URL; otherwise it's rebuilt from the forwarded protocol and Host.
+export function createTwilioWebhookGuard(config) {
+    if (config.twilioSignatureCheck === false) {
+        console.warn('WARNING: Twilio signature validation is disabled (DISABLE_TWILIO_SIGNATURE_CHECK=true). Do not use this in production.');
+    }
+
+    return async function verifyTwilioRequest(request, reply) {
+        if (config.twilioSignatureCheck === false) {
+            return;
+        }
+
+        // Each tenant's number may belong to its own Twilio account
+        const authToken = request.tenant?.twilio_auth_token || config.twilio.authToken;
+
+        const signature = request.headers['x-twilio-signature'];
+        if (!signature || !authToken) {
+            console.warn(`Rejecting unsigned request to ${request.url}`);
+            return reply.status(403).send({ error: 'Forbidden', message: 'Missing Twilio signature' });
+        }
+
+        const baseUrl = config.publicBaseUrl
+            || `${request.headers['x-forwarded-proto'] || request.protocol}://${request.headers.host}`;
+        const url = `${baseUrl.replace(/\/$/, '')}${request.url}`;
+
+        const isJson = (request.headers['content-type'] || '').startsWith('application/json');
+        const valid = isJson
+            ? validateTwilioJsonBody(authToken, signature, url, request.rawBody)
+            : validateTwilioSignature(authToken, signature, url, request.method === 'POST' ? request.body : {});
+
+        if (!valid) {
+            console.warn(`Rejecting request to ${request.url} with an invalid Twilio signature`);
+            return reply.status(403).send({ error: 'Forbidden', message: 'Invalid Twilio signature' });
+        }
+    };
+}
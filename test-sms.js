@@ -1,4 +1,6 @@
 // Test script for SMS functionality
+// The requests aren't signed by Twilio, so start the server with
+// DISABLE_TWILIO_SIGNATURE_CHECK=true or /sms will answer 403.
 const fetch = require('node-fetch');
 const readline = require('readline');
 
@@ -34,7 +36,9 @@ async function simulateIncomingSMS(from, body) {
     const data = await response.json();
     console.log('Server response:', data);
     
-    if (response.ok) {
+    if (response.status === 403) {
+      console.log('❌ Request rejected: restart the server with DISABLE_TWILIO_SIGNATURE_CHECK=true for local testing');
+    } else if (response.ok) {
       console.log('✅ SMS forwarded successfully');
     } else {
       console.log('❌ Error forwarding SMS:', data.error || 'Unknown error');
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ASSISTANT_TOOLS, validateArguments } from '../lib/assistant-tools.js';
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 1, maximum: 5 },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+        tags: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['name'],
+    additionalProperties: false
+};
+
+test('valid arguments have no problems', () => {
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'Dana', count: 2, kind: 'a', date: '2024-05-01', tags: ['x'] }), []);
+    // Optional properties may be null
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'Dana', count: null }), []);
+});
+
+test('every problem is reported with its path', () => {
+    assert.deepEqual(validateArguments(SCHEMA, { count: 0, kind: 'c', date: 'May 1', tags: ['x', 2], extra: true }), [
+        'arguments.name is required',
+        'arguments.count must be at least 1',
+        'arguments.kind must be one of: a, b',
+        'arguments.date must match ^\\d{4}-\\d{2}-\\d{2}$',
+        'arguments.tags[1] must be a string',
+        'arguments.extra is not allowed'
+    ]);
+});
+
+test('types, bounds and blank strings are checked', () => {
+    assert.deepEqual(validateArguments(SCHEMA, 'Dana'), ['arguments must be an object']);
+    assert.deepEqual(validateArguments(SCHEMA, []), ['arguments must be an object']);
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'Dana', count: 1.5 }), ['arguments.count must be an integer']);
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'Dana', count: 6 }), ['arguments.count must be at most 5']);
+    assert.deepEqual(validateArguments(SCHEMA, { name: '   ' }), ['arguments.name must not be empty']);
+    assert.deepEqual(validateArguments(SCHEMA, { name: 'Dana', tags: 'x' }), ['arguments.tags must be an array']);
+});
+
+test('every tool takes an object of arguments', () => {
+    for (const tool of ASSISTANT_TOOLS) {
+        assert.deepEqual(validateArguments(tool.parameters, 'x'), ['arguments must be an object'], tool.name);
+    }
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCallRecording, mulawToLinear, toWav } from '../lib/call-recording.js';
+
+// `count` μ-law bytes of `byte`, base64 encoded as in the media stream
+function frame(byte, count = 160) {
+    return Buffer.alloc(count, byte).toString('base64');
+}
+
+// The 16-bit samples of a WAV file made by toWav
+function samples(wav) {
+    return Array.from(new Int16Array(wav.buffer.slice(wav.byteOffset + 44, wav.byteOffset + wav.length)));
+}
+
+test('μ-law bytes decode to 16-bit linear samples', () => {
+    assert.equal(mulawToLinear(0xff), 0);
+    assert.equal(mulawToLinear(0x7f), 0);
+    assert.equal(mulawToLinear(0x80), 32124);
+    assert.equal(mulawToLinear(0x00), -32124);
+    assert.equal(mulawToLinear(0xf0), 120);
+    assert.equal(mulawToLinear(0x70), -120);
+});
+
+test('toWav writes a 16-bit mono PCM header', () => {
+    const wav = toWav(new Int16Array([1, -1, 300]));
+
+    assert.equal(wav.length, 44 + 6);
+    assert.equal(wav.toString('ascii', 0, 4), 'RIFF');
+    assert.equal(wav.readUInt32LE(4), 36 + 6);
+    assert.equal(wav.toString('ascii', 8, 16), 'WAVEfmt ');
+    assert.equal(wav.readUInt16LE(20), 1);
+    assert.equal(wav.readUInt16LE(22), 1);
+    assert.equal(wav.readUInt32LE(24), 8000);
+    assert.equal(wav.readUInt16LE(34), 16);
+    assert.equal(wav.toString('ascii', 36, 40), 'data');
+    assert.equal(wav.readUInt32LE(40), 6);
+    assert.deepEqual(samples(wav), [1, -1, 300]);
+});
+
+test('the caller\'s frames are placed by their timestamp', () => {
+    const recording = createCallRecording();
+    recording.addInbound('0', frame(0xf0, 2));
+    recording.addInbound('1', frame(0x70, 2));
+
+    // 1 ms is 8 samples at 8 kHz
+    assert.deepEqual(samples(recording.toWav()), [120, 120, 0, 0, 0, 0, 0, 0, -120, -120]);
+});
+
+test('the AI\'s audio plays after what is queued, from where the call is now', () => {
+    const recording = createCallRecording();
+    recording.addInbound('0', frame(0xf0, 4));
+    recording.addOutbound(frame(0xe0, 2));
+    recording.addOutbound(frame(0x70, 2));
+
+    assert.deepEqual(samples(recording.toWav()), [120, 120, 120, 120, 372, 372, -120, -120]);
+});
+
+test('both sides are mixed, clipped to 16 bits', () => {
+    const recording = createCallRecording();
+    recording.addOutbound(frame(0xe0, 2));
+    recording.addInbound('0', frame(0xf0, 2));
+    assert.deepEqual(samples(recording.toWav()), [492, 492]);
+
+    const loud = createCallRecording();
+    loud.addOutbound(frame(0x80, 2));
+    loud.addInbound('0', frame(0x80, 2));
+    assert.deepEqual(samples(loud.toWav()), [32767, 32767]);
+});
+
+test('audio the caller talked over is dropped', () => {
+    const recording = createCallRecording();
+    // One second of the AI, the caller cuts in 400 ms into the call
+    recording.addOutbound(frame(0xe0, 8000));
+    for (let timestamp = 0; timestamp < 400; timestamp += 20) {
+        recording.addInbound(String(timestamp), frame(0xff));
+    }
+    recording.clearOutbound();
+
+    const mixed = samples(recording.toWav());
+    assert.equal(mixed.length, 3200);
+    assert.ok(mixed.every(sample => sample === 372));
+    assert.equal(recording.durationSeconds(), 0);
+});
+
+test('audio past maxMinutes is not kept', () => {
+    const recording = createCallRecording({ maxMinutes: 1 / 60 });
+    recording.addInbound('0', frame(0xff, 8000));
+    recording.addInbound('1000', frame(0xf0));
+    recording.addOutbound(frame(0xe0));
+    recording.addInbound('junk', frame(0xf0));
+
+    assert.equal(samples(recording.toWav()).length, 8000);
+    assert.equal(recording.durationSeconds(), 1);
+});
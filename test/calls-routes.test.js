@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange } from '../lib/routes/calls.js';
+
+test('parseRange reads single byte ranges, inclusive', () => {
+    assert.deepEqual(parseRange('bytes=0-499', 1000), { start: 0, end: 499 });
+    assert.deepEqual(parseRange('bytes=500-', 1000), { start: 500, end: 999 });
+    assert.deepEqual(parseRange(' bytes=0-0 ', 1000), { start: 0, end: 0 });
+});
+
+test('parseRange serves the last n bytes of a suffix range', () => {
+    assert.deepEqual(parseRange('bytes=-500', 1000), { start: 500, end: 999 });
+    assert.deepEqual(parseRange('bytes=-2000', 1000), { start: 0, end: 999 });
+});
+
+test('parseRange stops at the end of the file', () => {
+    assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+});
+
+test('parseRange rejects ranges outside the file', () => {
+    assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+    assert.equal(parseRange('bytes=1000-1200', 1000), 'unsatisfiable');
+    assert.equal(parseRange('bytes=5-3', 1000), 'unsatisfiable');
+});
+
+test('parseRange sends the whole file without a usable header', () => {
+    for (const header of [undefined, '', 'bytes=-', 'bytes=0-1,5-6', 'items=0-1', 'bytes=a-b']) {
+        assert.equal(parseRange(header, 1000), null, String(header));
+    }
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChatHistory, estimateTokens } from '../lib/history.js';
+
+const MESSAGES = [
+    { id: 1, sender: 'user', content: 'Hi, can you fit me in?' },
+    { id: 2, sender: 'assistant', content: 'Sure, when suits you?' },
+    { id: 3, sender: 'system', content: 'Conversation switched to human mode' },
+    { id: 4, sender: 'agent', content: 'This is Sam from the shop' },
+    { id: 5, sender: 'user', content: 'Tomorrow morning' }
+];
+
+function options(overrides = {}) {
+    const calls = { summarize: [], saveSummary: [] };
+    return {
+        calls,
+        systemMessage: 'You are helpful',
+        maxTurns: 10,
+        tokenBudget: 1000,
+        summarize: async (previous, turns) => {
+            calls.summarize.push({ previous, turns });
+            return 'They want an appointment';
+        },
+        saveSummary: async (summary, lastMessageId) => {
+            calls.saveSummary.push({ summary, lastMessageId });
+        },
+        ...overrides
+    };
+}
+
+test('estimateTokens counts about four characters a token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+    assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('chat turns are sent as-is when they fit, staff replies as the assistant', async () => {
+    const settings = options();
+    const history = await buildChatHistory({}, MESSAGES, settings);
+
+    assert.deepEqual(history, [
+        { role: 'system', content: 'You are helpful' },
+        { role: 'user', content: 'Hi, can you fit me in?' },
+        { role: 'assistant', content: 'Sure, when suits you?' },
+        { role: 'assistant', content: 'This is Sam from the shop' },
+        { role: 'user', content: 'Tomorrow morning' }
+    ]);
+    assert.equal(settings.calls.summarize.length, 0);
+});
+
+test('past maxTurns the history is folded down to half of it', async () => {
+    const settings = options({ maxTurns: 3 });
+    const history = await buildChatHistory({ summary: 'Earlier' }, MESSAGES, settings);
+
+    assert.deepEqual(settings.calls.summarize[0], {
+        previous: 'Earlier',
+        turns: [
+            { id: 1, role: 'user', content: 'Hi, can you fit me in?' },
+            { id: 2, role: 'assistant', content: 'Sure, when suits you?' }
+        ]
+    });
+    assert.deepEqual(settings.calls.saveSummary, [{ summary: 'They want an appointment', lastMessageId: 2 }]);
+    assert.deepEqual(history, [
+        { role: 'system', content: 'You are helpful\n\nSummary of the conversation so far:\nThey want an appointment' },
+        { role: 'assistant', content: 'This is Sam from the shop' },
+        { role: 'user', content: 'Tomorrow morning' }
+    ]);
+});
+
+test('after a fold the next replies are sent without summarizing again', async () => {
+    const settings = options({ maxTurns: 3 });
+    const conversation = { summary: 'They want an appointment', summarized_message_id: 2 };
+    const history = await buildChatHistory(conversation, [...MESSAGES, { id: 6, sender: 'assistant', content: 'Is 9am good?' }], settings);
+
+    assert.equal(settings.calls.summarize.length, 0);
+    assert.equal(history.length, 4);
+});
+
+test('past the token budget the history is folded down to half of it', async () => {
+    // Turns are 4-7 tokens: 20 fit the newest three, 10 only the newest
+    const settings = options({ systemMessage: '', tokenBudget: 20 });
+    const history = await buildChatHistory({}, MESSAGES, settings);
+
+    assert.deepEqual(settings.calls.summarize[0].turns.map(turn => turn.id), [1, 2, 4]);
+    assert.deepEqual(history.slice(1), [{ role: 'user', content: 'Tomorrow morning' }]);
+});
+
+test('messages already summarized are skipped', async () => {
+    const settings = options();
+    const history = await buildChatHistory({ summary: 'Earlier', summarized_message_id: 2 }, MESSAGES, settings);
+
+    assert.equal(settings.calls.summarize.length, 0);
+    assert.deepEqual(history.map(message => message.content), [
+        'You are helpful\n\nSummary of the conversation so far:\nEarlier',
+        'This is Sam from the shop',
+        'Tomorrow morning'
+    ]);
+});
+
+test('the newest turn is kept even when it alone is over the token budget', async () => {
+    const settings = options({ tokenBudget: 1 });
+    const history = await buildChatHistory({}, MESSAGES, settings);
+
+    assert.deepEqual(history.slice(1), [{ role: 'user', content: 'Tomorrow morning' }]);
+    assert.equal(settings.calls.summarize[0].turns.length, 3);
+});
+
+test('a failed summary keeps the old one and still answers', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const settings = options({
+        maxTurns: 1,
+        summarize: async () => {
+            throw new Error('OpenAI is down');
+        }
+    });
+    const history = await buildChatHistory({ summary: 'Earlier' }, MESSAGES, settings);
+
+    assert.equal(history[0].content, 'You are helpful\n\nSummary of the conversation so far:\nEarlier');
+    assert.deepEqual(history.slice(1), [{ role: 'user', content: 'Tomorrow morning' }]);
+    assert.equal(settings.calls.saveSummary.length, 0);
+});
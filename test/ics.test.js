@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toIcs } from '../lib/ics.js';
+
+const APPOINTMENT = {
+    id: 'a1',
+    starts_at: '2024-05-01T09:00:00.000Z',
+    ends_at: '2024-05-01T10:00:00.000Z',
+    service: 'Oil change',
+    customer_name: 'Dana',
+    phone_number: '+15127295813',
+    vehicle: 'Civic, 2019',
+    notes: 'Bring the spare key; ask at the desk',
+    status: 'booked',
+    created_at: '2024-04-01T12:00:00.000Z'
+};
+
+// Undo line folding (RFC 5545 3.1)
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('a calendar has one event per appointment', () => {
+    const ics = toIcs([APPOINTMENT, { ...APPOINTMENT, id: 'a2', status: 'cancelled' }], 'Barts Automotive');
+    const lines = unfold(ics);
+
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('X-WR-CALNAME:Barts Automotive appointments'));
+    assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+    assert.ok(lines.includes('UID:a1@ai-sms'));
+    assert.ok(lines.includes('DTSTAMP:20240401T120000Z'));
+    assert.ok(lines.includes('DTSTART:20240501T090000Z'));
+    assert.ok(lines.includes('DTEND:20240501T100000Z'));
+    assert.ok(lines.includes('SUMMARY:Oil change - Dana'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+});
+
+test('text is escaped', () => {
+    const lines = unfold(toIcs([APPOINTMENT], 'Bart\'s, Austin'));
+
+    assert.ok(lines.includes('LOCATION:Bart\'s\\, Austin'));
+    assert.ok(lines.includes('DESCRIPTION:Customer: Dana\\nPhone: +15127295813\\nVehicle: Civic\\, 2019\\nService: Oil change\\nNotes: Bring the spare key\\; ask at the desk'));
+});
+
+test('an appointment without details has no description', () => {
+    const lines = unfold(toIcs([{ id: 'a3', starts_at: APPOINTMENT.starts_at, ends_at: APPOINTMENT.ends_at, status: 'booked' }], 'Barts'));
+
+    assert.ok(lines.includes('SUMMARY:Appointment'));
+    assert.ok(!lines.some(line => line.startsWith('DESCRIPTION:')));
+});
+
+test('long lines are folded at 75 octets without splitting characters', () => {
+    const notes = 'Très longue note à propos du véhicule — '.repeat(6);
+    const ics = toIcs([{ ...APPOINTMENT, notes }], 'Barts');
+
+    for (const line of ics.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(unfold(ics).some(line => line.endsWith(`Notes: ${notes}`)));
+});
+
+test('long lines are folded without splitting emoji', () => {
+    for (let padding = 0; padding < 4; padding++) {
+        const notes = `${'x'.repeat(padding)}${'🚗'.repeat(40)}`;
+        const ics = toIcs([{ ...APPOINTMENT, notes }], 'Barts');
+
+        for (const line of ics.split('\r\n')) {
+            assert.ok(Buffer.byteLength(line) <= 75, line);
+            assert.ok(!/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/.test(line), line);
+        }
+        assert.ok(unfold(ics).some(line => line.endsWith(`Notes: ${notes}`)));
+    }
+});
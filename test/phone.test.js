@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSupportedCountry, normalizePhoneNumber, parsePhoneNumber } from '../lib/phone.js';
+
+test('North American numbers in any common format normalize to E.164', () => {
+    for (const input of ['512-729-5813', '(512) 729 5813', '512.729.5813', '1 512 729 5813', '+1 512 729 5813', '+15127295813', '512-729-5813 ext. 12']) {
+        assert.deepEqual(parsePhoneNumber(input), { phoneNumber: '+15127295813' }, input);
+    }
+});
+
+test('international numbers are read with their country code or the default country', () => {
+    assert.equal(normalizePhoneNumber('+44 7700 900123'), '+447700900123');
+    assert.equal(normalizePhoneNumber('0044 7700 900123'), '+447700900123');
+    assert.equal(normalizePhoneNumber('011 44 7700 900123'), '+447700900123');
+    assert.equal(normalizePhoneNumber('07700 900123', 'GB'), '+447700900123');
+    assert.equal(normalizePhoneNumber('7700 900123', 'GB'), '+447700900123');
+});
+
+test('countries without a length table only need an assigned calling code', () => {
+    assert.equal(normalizePhoneNumber('+51 1 234 5678'), '+5112345678');
+    assert.deepEqual(parsePhoneNumber('+999123456789'), { error: '+999 is not a country calling code' });
+});
+
+test('a North American number written with a + but without its 1 is rejected', () => {
+    assert.deepEqual(parsePhoneNumber('+5127295813'), { error: 'Looks like a North American number missing its country code 1' });
+});
+
+test('impossible numbers are rejected with the reason', () => {
+    assert.deepEqual(parsePhoneNumber(''), { error: 'Phone number is missing' });
+    assert.deepEqual(parsePhoneNumber(null), { error: 'Phone number is missing' });
+    assert.deepEqual(parsePhoneNumber('call me'), { error: 'Phone number contains letters or other invalid characters' });
+    assert.deepEqual(parsePhoneNumber('123'), { error: 'Phone number is too short' });
+    assert.deepEqual(parsePhoneNumber('+1234567890123456'), { error: 'Phone number is too long' });
+    assert.deepEqual(parsePhoneNumber('911-555-1234'), { error: '911 is not a valid area code' });
+    assert.deepEqual(parsePhoneNumber('512-123-4567'), { error: '123 is not a valid exchange (it can\'t start with 0 or 1)' });
+    assert.deepEqual(parsePhoneNumber('+44 7700 9001234'), { error: 'Numbers for +44 have 9-10 digits after the country code, got 11' });
+    assert.deepEqual(parsePhoneNumber('512-729-5813', 'XX'), { error: 'Unsupported default country XX' });
+    assert.equal(normalizePhoneNumber('not a number'), null);
+});
+
+test('isSupportedCountry ignores case', () => {
+    assert.equal(isSupportedCountry('gb'), true);
+    assert.equal(isSupportedCountry('US'), true);
+    assert.equal(isSupportedCountry('XX'), false);
+    assert.equal(isSupportedCountry(undefined), false);
+});
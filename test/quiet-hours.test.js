@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSendWindow, localDate, parseClockTime, resolveTimeZone, zonedTime } from '../lib/quiet-hours.js';
+
+const EVERY_DAY = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+test('parseClockTime reads HH:MM as minutes after midnight', () => {
+    assert.equal(parseClockTime('09:30'), 570);
+    assert.equal(parseClockTime('0:00'), 0);
+    assert.equal(parseClockTime('24:00'), 1440);
+    for (const value of ['9', '09:60', '24:01', '', undefined]) {
+        assert.throws(() => parseClockTime(value), /Invalid time/, String(value));
+    }
+});
+
+test('zonedTime follows daylight saving time', () => {
+    // New York: EST (UTC-5) until 10 March 2024, EDT (UTC-4) until 3 November
+    assert.equal(zonedTime('2024-03-09', 9 * 60, 'America/New_York').toISOString(), '2024-03-09T14:00:00.000Z');
+    assert.equal(zonedTime('2024-03-10', 9 * 60, 'America/New_York').toISOString(), '2024-03-10T13:00:00.000Z');
+    assert.equal(zonedTime('2024-11-03', 9 * 60, 'America/New_York').toISOString(), '2024-11-03T14:00:00.000Z');
+    assert.equal(zonedTime('2024-07-01', 0, 'Europe/London').toISOString(), '2024-06-30T23:00:00.000Z');
+});
+
+test('localDate is the calendar date in the time zone', () => {
+    const instant = new Date('2024-05-01T03:00:00Z');
+    assert.equal(localDate(instant, 'UTC'), '2024-05-01');
+    assert.equal(localDate(instant, 'America/Chicago'), '2024-04-30');
+});
+
+test('resolveTimeZone prefers a valid explicit zone, then the area code, then the default', () => {
+    assert.equal(resolveTimeZone('+15125550111', 'Europe/London', 'UTC'), 'Europe/London');
+    assert.equal(resolveTimeZone('+15125550111', 'Not/AZone', 'UTC'), 'America/Chicago');
+    assert.equal(resolveTimeZone('+12125550111', null, 'UTC'), 'America/New_York');
+    assert.equal(resolveTimeZone('+447700900123', null, 'Europe/Dublin'), 'Europe/Dublin');
+});
+
+test('the sending window is open on its days between start and end, local time', () => {
+    const window = createSendWindow({ start: '09:00', end: '17:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] });
+    // Monday 11 March 2024, 09:30 and 08:30 EDT
+    assert.equal(window.isOpen('America/New_York', new Date('2024-03-11T13:30:00Z')), true);
+    assert.equal(window.isOpen('America/New_York', new Date('2024-03-11T12:30:00Z')), false);
+    assert.equal(window.isOpen('America/New_York', new Date('2024-03-11T21:00:00Z')), false);
+    // Saturday
+    assert.equal(window.isOpen('America/New_York', new Date('2024-03-09T15:00:00Z')), false);
+});
+
+test('nextOpen skips closed days', () => {
+    const window = createSendWindow({ start: '09:00', end: '17:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] });
+    // Friday 18:00 CDT -> Monday 09:00 CDT
+    assert.equal(window.nextOpen('America/Chicago', new Date('2024-05-03T23:00:00Z')).toISOString(), '2024-05-06T14:00:00.000Z');
+    const open = new Date('2024-05-06T15:00:00Z');
+    assert.equal(window.nextOpen('America/Chicago', open), open);
+});
+
+test('nextOpen lands on the local start time across a daylight saving change', () => {
+    const window = createSendWindow({ start: '09:00', end: '17:00', days: EVERY_DAY });
+    // Saturday 18:00 EST -> Sunday 09:00 EDT, clocks went forward overnight
+    assert.equal(window.nextOpen('America/New_York', new Date('2024-03-09T23:00:00Z')).toISOString(), '2024-03-10T13:00:00.000Z');
+    // Saturday 18:00 EDT -> Sunday 09:00 EST, clocks went back overnight
+    assert.equal(window.nextOpen('America/New_York', new Date('2024-11-02T22:00:00Z')).toISOString(), '2024-11-03T14:00:00.000Z');
+});
+
+test('createSendWindow rejects impossible windows', () => {
+    assert.throws(() => createSendWindow({ start: '17:00', end: '09:00', days: EVERY_DAY }), /must be before its end/);
+    assert.throws(() => createSendWindow({ start: '09:00', end: '17:00', days: [] }), /Invalid sending days/);
+    assert.throws(() => createSendWindow({ start: '09:00', end: '17:00', days: ['monday'] }), /Invalid sending days/);
+});